@@ -16,7 +16,8 @@ module.exports = [
   {
     files: [
       '**/*.js',
-      '*.js'
+      '*.js',
+      'bin/bweb-log'
     ],
     languageOptions: {
       sourceType: 'commonjs'
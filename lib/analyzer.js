@@ -0,0 +1,343 @@
+/*!
+ * analyzer.js - Summarize JSON lines logs.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {REQUEST_BEGIN, REQUEST_FINISH} = require('./common');
+const {SearchQuery, readLines, parseLine} = require('./search');
+const Histogram = require('./histogram');
+
+/**
+ * Analyzer filters. Extends search filters with route and name.
+ * @alias module:logger.AnalyzerQuery
+ * @property {String?} route
+ * @property {String?} name
+ */
+
+class AnalyzerQuery extends SearchQuery {
+  constructor(options) {
+    super();
+
+    this.route = null;
+    this.name = null;
+    this.limit = Infinity;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    for (const key of Object.keys(this)) {
+      if (options[key] != null)
+        this[key] = options[key];
+    }
+
+    return this;
+  }
+
+  match(entry) {
+    if (!super.match(entry))
+      return false;
+
+    if (this.route != null) {
+      const request = entry.request || {};
+
+      if ((request.route ?? request.pathname) !== this.route)
+        return false;
+    }
+
+    if (this.name != null) {
+      if (!entry.nameEvent || entry.nameEvent.name !== this.name)
+        return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Pair begin and finish entries of the request and HTTP and name logs
+ * and summarize them. Files can be added in any order, pairing
+ * is done by the request id.
+ * @alias module:logger.LogAnalyzer
+ * @property {AnalyzerQuery} query
+ * @property {Map<String, Object>} begins - begin entries without finish.
+ * @property {Map<String, Object>} finishes - finish entries without begin.
+ */
+
+class LogAnalyzer {
+  /**
+   * @param {AnalyzerQuery} [query]
+   */
+
+  constructor(query) {
+    this.query = query || new AnalyzerQuery();
+    this.begins = new Map();
+    this.finishes = new Map();
+
+    this.files = 0;
+    this.lines = 0;
+    this.invalid = 0;
+    this.paired = 0;
+
+    this.routes = new Map();
+    this.minutes = new Map();
+    this.names = new Map();
+  }
+
+  /**
+   * Read the file (plain or gzipped) line by line.
+   * @param {String} file
+   * @returns {Promise}
+   */
+
+  async addFile(file) {
+    const compressed = file.endsWith('.gz');
+
+    this.files += 1;
+
+    for await (const line of readLines(file, compressed)) {
+      if (line.length === 0)
+        continue;
+
+      this.lines += 1;
+
+      const entry = parseLine(line);
+
+      if (!entry) {
+        this.invalid += 1;
+        continue;
+      }
+
+      this.addEntry(entry);
+    }
+  }
+
+  /**
+   * Add log entry, pairing begin with finish.
+   * @param {Object} entry
+   */
+
+  addEntry(entry) {
+    const key = entryKey(entry);
+
+    if (key == null)
+      return;
+
+    if (entry.type === REQUEST_BEGIN) {
+      const finish = this.finishes.get(key);
+
+      if (!finish) {
+        this.begins.set(key, entry);
+        return;
+      }
+
+      this.finishes.delete(key);
+      this.addPair(entry, finish);
+      return;
+    }
+
+    if (entry.type === REQUEST_FINISH) {
+      const begin = this.begins.get(key);
+
+      if (!begin) {
+        this.finishes.set(key, entry);
+        return;
+      }
+
+      this.begins.delete(key);
+      this.addPair(begin, entry);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object?} begin
+   * @param {Object} finish
+   */
+
+  addPair(begin, finish) {
+    if (begin)
+      this.paired += 1;
+
+    if (!this.query.match(finish))
+      return;
+
+    const response = finish.response || {};
+    const ms = typeof response.ms === 'number' ? response.ms : 0;
+    const start = begin ? begin.timestamp : finish.timestamp - ms;
+    const failed = response.status >= 400;
+
+    const minute = Math.floor(start / 60000) * 60000;
+    this.minutes.set(minute, (this.minutes.get(minute) || 0) + 1);
+
+    if (finish.nameEvent) {
+      this.addName(finish.nameEvent, failed);
+      return;
+    }
+
+    const request = finish.request || {};
+    const method = request.method;
+    const route = request.route ?? request.pathname;
+    const rkey = method + ' ' + route;
+
+    let stats = this.routes.get(rkey);
+
+    if (!stats) {
+      stats = {
+        method,
+        route,
+        errors: 0,
+        statuses: {},
+        histogram: new Histogram()
+      };
+      this.routes.set(rkey, stats);
+    }
+
+    const {status} = response;
+
+    stats.histogram.record(ms);
+    stats.statuses[status] = (stats.statuses[status] || 0) + 1;
+
+    if (failed)
+      stats.errors += 1;
+  }
+
+  /**
+   * @private
+   * @param {Object} event
+   * @param {Boolean} failed
+   */
+
+  addName(event, failed) {
+    let stats = this.names.get(event.name);
+
+    if (!stats) {
+      stats = {
+        name: event.name,
+        total: 0,
+        errors: 0,
+        types: {}
+      };
+      this.names.set(event.name, stats);
+    }
+
+    stats.total += 1;
+    stats.types[event.type] = (stats.types[event.type] || 0) + 1;
+
+    if (failed)
+      stats.errors += 1;
+  }
+
+  /**
+   * Finish the analysis, finish entries without begin are still counted.
+   * @param {Object} [options]
+   * @param {Number} [options.top = 10] - number of slowest routes.
+   * @returns {Object}
+   */
+
+  summary(options = {}) {
+    const top = options.top ?? 10;
+
+    for (const finish of this.finishes.values())
+      this.addPair(null, finish);
+
+    const unpaired = this.finishes.size;
+    this.finishes.clear();
+
+    const routes = [];
+
+    for (const stats of this.routes.values()) {
+      const {count} = stats.histogram;
+
+      routes.push({
+        method: stats.method,
+        route: stats.route,
+        errors: stats.errors,
+        errorRate: count ? round(stats.errors / count) : 0,
+        statuses: stats.statuses,
+        ...stats.histogram.toJSON()
+      });
+    }
+
+    const slowest = routes.slice()
+      .sort((a, b) => b.p99 - a.p99 || b.max - a.max)
+      .slice(0, top);
+
+    const errors = routes
+      .filter(r => r.errors > 0)
+      .sort((a, b) => b.errorRate - a.errorRate || b.errors - a.errors);
+
+    const minutes = [...this.minutes.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([time, count]) => ({
+        minute: new Date(time).toISOString(),
+        count
+      }));
+
+    const names = [...this.names.values()]
+      .sort((a, b) => b.total - a.total);
+
+    return {
+      files: this.files,
+      lines: this.lines,
+      invalid: this.invalid,
+      paired: this.paired,
+      // begin without finish, they may be in a file that was not given.
+      unfinished: this.begins.size,
+      // finish without begin.
+      unpaired,
+      slowest,
+      errors,
+      minutes,
+      names
+    };
+  }
+}
+
+/**
+ * Get pairing key for the entry.
+ * @param {Object} entry
+ * @returns {String?}
+ */
+
+function entryKey(entry) {
+  let id = null;
+
+  if (entry.type === REQUEST_BEGIN)
+    id = entry.request && entry.request.id;
+  else if (entry.type === REQUEST_FINISH)
+    id = entry.response && entry.response.id;
+
+  if (id == null)
+    return null;
+
+  // Spend logs are a ledger of the requests, they are not summarized.
+  if (entry.spendEvent)
+    return null;
+
+  // Name logs may have several entries for the same request.
+  if (entry.nameEvent) {
+    const {type, name, batch} = entry.nameEvent;
+
+    if (batch)
+      return `${id}:${batch.id}:${batch.index}`;
+
+    return `${id}:${type}:${name}`;
+  }
+
+  return String(id);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+exports.AnalyzerQuery = AnalyzerQuery;
+exports.LogAnalyzer = LogAnalyzer;
@@ -0,0 +1,260 @@
+/*!
+ * chain.js - Hash chained JSON lines logs.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const crypto = require('crypto');
+const bfs = require('bfile');
+const {readLines, parseLine} = require('./search');
+
+/**
+ * Previous hash of the first line of the chain.
+ * @const {String}
+ */
+
+const GENESIS = '0'.repeat(64);
+
+/**
+ * Size of the chunks read from the end of the file.
+ * @const {Number}
+ */
+
+const TAIL_CHUNK = 64 << 10;
+
+/**
+ * Maximum number of reported errors.
+ * @const {Number}
+ */
+
+const MAX_ERRORS = 100;
+
+/**
+ * Verification errors.
+ * @enum {String}
+ */
+
+const errors = {
+  // Line is not valid JSON.
+  INVALID: 'invalid',
+  // Line does not have the previous hash, after the chain has started.
+  UNCHAINED: 'unchained',
+  // Previous hash does not match the hash of the previous line.
+  MISMATCH: 'mismatch'
+};
+
+/**
+ * Hash of the line, without the new line.
+ * @param {String} line
+ * @returns {String}
+ */
+
+function hashLine(line) {
+  assert(typeof line === 'string');
+
+  return crypto.createHash('sha256')
+    .update(line, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Read the last line of the file, without reading the whole file.
+ * @param {String} file
+ * @returns {Promise<String?>} - null if the file is empty.
+ */
+
+async function readLastLine(file) {
+  const fd = await bfs.open(file, 'r');
+
+  try {
+    const {size} = await bfs.fstat(fd);
+
+    let data = Buffer.alloc(0);
+    let pos = size;
+
+    while (pos > 0) {
+      const len = Math.min(TAIL_CHUNK, pos);
+      const chunk = Buffer.alloc(len);
+
+      pos -= len;
+
+      await bfs.read(fd, chunk, 0, len, pos);
+      data = Buffer.concat([chunk, data]);
+
+      const end = lineEnd(data);
+
+      if (end === 0)
+        continue;
+
+      const start = data.lastIndexOf(0x0a, end - 1);
+
+      if (start !== -1)
+        return data.toString('utf8', start + 1, end);
+    }
+
+    const end = lineEnd(data);
+
+    if (end === 0)
+      return null;
+
+    return data.toString('utf8', 0, end);
+  } finally {
+    await bfs.close(fd);
+  }
+}
+
+/**
+ * End of the last line, excluding the trailing new line.
+ * @param {Buffer} data
+ * @returns {Number}
+ */
+
+function lineEnd(data) {
+  if (data.length > 0 && data[data.length - 1] === 0x0a)
+    return data.length - 1;
+
+  return data.length;
+}
+
+/**
+ * Get hash of the last line of the log files (newest first),
+ * so the chain can continue.
+ * @param {Object[]} files - { file, compressed }, newest first.
+ * @returns {Promise<String>}
+ */
+
+async function chainHead(files) {
+  for (const {file, compressed} of files) {
+    let last = null;
+
+    if (compressed) {
+      for await (const line of readLines(file, true)) {
+        if (line.length > 0)
+          last = line;
+      }
+    } else {
+      try {
+        last = await readLastLine(file);
+      } catch (e) {
+        if (e.code !== 'ENOENT')
+          throw e;
+      }
+    }
+
+    if (last != null)
+      return hashLine(last);
+  }
+
+  return GENESIS;
+}
+
+/**
+ * @typedef {Object} ChainError
+ * @property {String} file - file name.
+ * @property {Number} line - line number (1-based).
+ * @property {errors} error
+ * @property {String?} expected - expected previous hash.
+ * @property {String?} actual - previous hash of the line.
+ */
+
+/**
+ * Verify the chain of the log files (oldest first). Edited, removed or
+ * reordered lines break the link of the following line. Lines before
+ * the first chained line are skipped, but still linked to it.
+ * @param {Object[]} files - { name, file, compressed }, oldest first.
+ * @param {String} [start = GENESIS] - hash of the last pruned line.
+ * @returns {Promise<Object>}
+ */
+
+async function verifyChain(files, start = GENESIS) {
+  assert(typeof start === 'string');
+
+  const result = {
+    valid: true,
+    files: [],
+    lines: 0,
+    skipped: 0,
+    start,
+    head: null,
+    errors: []
+  };
+
+  const fail = (error) => {
+    result.valid = false;
+
+    if (result.errors.length < MAX_ERRORS)
+      result.errors.push(error);
+  };
+
+  let head = start;
+  let started = false;
+
+  for (const {name, file, compressed} of files) {
+    let number = 0;
+    let lines = 0;
+
+    for await (const line of readLines(file, compressed)) {
+      number += 1;
+
+      if (line.length === 0)
+        continue;
+
+      const entry = parseLine(line);
+
+      if (!entry || typeof entry !== 'object') {
+        fail({ file: name, line: number, error: errors.INVALID });
+        head = hashLine(line);
+        continue;
+      }
+
+      if (typeof entry.prev !== 'string') {
+        // Log was written before the chain was enabled,
+        // the chain starts with the hash of the last such line.
+        if (!started)
+          result.skipped += 1;
+        else
+          fail({ file: name, line: number, error: errors.UNCHAINED });
+
+        head = hashLine(line);
+        continue;
+      }
+
+      started = true;
+
+      if (entry.prev !== head) {
+        fail({
+          file: name,
+          line: number,
+          error: errors.MISMATCH,
+          expected: head,
+          actual: entry.prev
+        });
+      }
+
+      head = hashLine(line);
+      lines += 1;
+    }
+
+    result.files.push({
+      name,
+      lines,
+      head: started ? head : null
+    });
+
+    result.lines += lines;
+  }
+
+  result.head = started ? head : null;
+
+  return result;
+}
+
+exports.GENESIS = GENESIS;
+exports.errors = errors;
+exports.hashLine = hashLine;
+exports.readLastLine = readLastLine;
+exports.chainHead = chainHead;
+exports.verifyChain = verifyChain;
@@ -8,3 +8,9 @@
 
 exports.REQUEST_BEGIN = 'begin';
 exports.REQUEST_FINISH = 'finish';
+exports.SOCKET_OPEN = 'socket-open';
+exports.SOCKET_CLOSE = 'socket-close';
+exports.SOCKET_BEGIN = 'socket-begin';
+exports.SOCKET_FINISH = 'socket-finish';
+exports.TX_CONFIRMED = 'confirmed';
+exports.TX_DROPPED = 'dropped';
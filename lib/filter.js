@@ -0,0 +1,188 @@
+/*!
+ * filter.js - Include/exclude requests by method and path.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Single filter rule: `[METHOD] pattern`.
+ * Pattern is either glob matched against the pathname
+ * (`*` - anything but `/`, `**` - anything) or exact route
+ * pattern (e.g. `/wallet/:id/send`).
+ * @property {String} rule - original rule.
+ * @property {String?} method
+ * @property {String} pattern
+ * @property {RegExp} regex
+ */
+
+class FilterRule {
+  /**
+   * @param {String} rule
+   */
+
+  constructor(rule) {
+    enforce(typeof rule === 'string', 'Rule must be a string.');
+
+    const parts = rule.trim().split(/\s+/);
+
+    enforce(parts.length >= 1 && parts.length <= 2 && parts[0] !== '',
+      `Invalid filter rule: ${rule}.`);
+
+    let method = null;
+    let pattern = parts[0];
+
+    if (parts.length === 2) {
+      method = parts[0].toUpperCase();
+      pattern = parts[1];
+    }
+
+    enforce(pattern[0] === '/', `Invalid filter rule: ${rule}.`);
+
+    this.rule = rule;
+    this.method = method;
+    this.pattern = pattern;
+    this.regex = globToRegExp(pattern);
+  }
+
+  /**
+   * @param {String} method
+   * @param {String} pathname
+   * @param {String?} route
+   * @returns {Boolean}
+   */
+
+  match(method, pathname, route) {
+    if (this.method != null && this.method !== method)
+      return false;
+
+    if (route != null && this.pattern === route)
+      return true;
+
+    return this.regex.test(pathname);
+  }
+}
+
+/**
+ * Include and exclude lists. If include list is not empty
+ * the request must match one of the rules, request matching
+ * any of the exclude rules is always skipped.
+ * @alias module:logger.RouteFilter
+ * @property {FilterRule[]} include
+ * @property {FilterRule[]} exclude
+ */
+
+class RouteFilter {
+  /**
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    this.include = [];
+    this.exclude = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {String[]} [options.include]
+   * @param {String[]} [options.exclude]
+   * @returns {RouteFilter}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    if (options.include != null)
+      this.include = parseRules(options.include);
+
+    if (options.exclude != null)
+      this.exclude = parseRules(options.exclude);
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      include: this.include.map(r => r.rule),
+      exclude: this.exclude.map(r => r.rule)
+    };
+  }
+
+  /**
+   * @param {String} method
+   * @param {String} pathname
+   * @param {String?} route - registered route pattern.
+   * @returns {Boolean}
+   */
+
+  match(method, pathname, route) {
+    if (this.include.length > 0) {
+      if (!this.include.some(r => r.match(method, pathname, route)))
+        return false;
+    }
+
+    return !this.exclude.some(r => r.match(method, pathname, route));
+  }
+}
+
+/**
+ * @param {String[]} rules
+ * @returns {FilterRule[]}
+ */
+
+function parseRules(rules) {
+  enforce(Array.isArray(rules), 'Rules must be an array.');
+  return rules.map(rule => new FilterRule(rule));
+}
+
+/**
+ * @param {String} glob
+ * @returns {RegExp}
+ */
+
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+
+      continue;
+    }
+
+    source += ch.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Rules can come from the request,
+ * so invalid rules are reported as bad requests.
+ * @param {*} value
+ * @param {String} msg
+ */
+
+function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+RouteFilter.FilterRule = FilterRule;
+module.exports = RouteFilter;
@@ -0,0 +1,140 @@
+/*!
+ * histogram.js - Fixed bucket latency histogram.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Default bucket upper bounds in milliseconds.
+ * @const {Number[]}
+ */
+
+const DEFAULT_BUCKETS = [
+  1, 2.5, 5, 10, 25, 50, 100, 250, 500,
+  1000, 2500, 5000, 10000, 30000, 60000
+];
+
+/**
+ * Histogram with fixed buckets. Values are in milliseconds.
+ * The last (implicit) bucket catches everything above the last bound.
+ * @alias module:logger.Histogram
+ * @property {Number[]} bounds
+ * @property {Number[]} counts
+ * @property {Number} count
+ * @property {Number} sum
+ * @property {Number} max
+ */
+
+class Histogram {
+  /**
+   * @param {Number[]} [bounds = DEFAULT_BUCKETS]
+   */
+
+  constructor(bounds = DEFAULT_BUCKETS) {
+    assert(Array.isArray(bounds));
+
+    for (let i = 0; i < bounds.length; i++) {
+      assert(typeof bounds[i] === 'number' && bounds[i] > 0);
+      assert(i === 0 || bounds[i] > bounds[i - 1], 'Bounds must be sorted.');
+    }
+
+    this.bounds = bounds;
+    this.counts = new Array(bounds.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  /**
+   * Record value.
+   * @param {Number} value - milliseconds
+   * @returns {Histogram}
+   */
+
+  record(value) {
+    assert(typeof value === 'number');
+
+    let i = 0;
+
+    while (i < this.bounds.length && value > this.bounds[i])
+      i++;
+
+    this.counts[i] += 1;
+    this.count += 1;
+    this.sum += value;
+
+    if (value > this.max)
+      this.max = value;
+
+    return this;
+  }
+
+  /**
+   * Estimate percentile, returns upper bound of the bucket
+   * the percentile falls into (capped by the max).
+   * @param {Number} p - 0 - 1
+   * @returns {Number}
+   */
+
+  percentile(p) {
+    assert(p >= 0 && p <= 1);
+
+    if (this.count === 0)
+      return 0;
+
+    const rank = Math.ceil(p * this.count);
+    let total = 0;
+
+    for (let i = 0; i < this.counts.length; i++) {
+      total += this.counts[i];
+
+      if (total >= rank && total > 0) {
+        if (i === this.bounds.length)
+          return this.max;
+
+        return Math.min(this.bounds[i], this.max);
+      }
+    }
+
+    return this.max;
+  }
+
+  /**
+   * Reset the histogram.
+   * @returns {Histogram}
+   */
+
+  reset() {
+    this.counts.fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+    return this;
+  }
+
+  /**
+   * @returns {Object}
+   */
+
+  toJSON() {
+    return {
+      count: this.count,
+      p50: round(this.percentile(0.5)),
+      p90: round(this.percentile(0.9)),
+      p99: round(this.percentile(0.99)),
+      max: round(this.max),
+      mean: this.count ? round(this.sum / this.count) : 0
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+Histogram.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+module.exports = Histogram;
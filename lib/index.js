@@ -9,7 +9,17 @@
 const assert = require('bsert');
 const EventEmitter = require('events');
 const Logger = require('./logger');
-const {ConsoleReporter, FileReporter, NameReporter} = require('./reporters');
+const {
+  ConsoleReporter,
+  FileReporter,
+  NameReporter,
+  HistogramReporter,
+  SlowReporter,
+  RPCReporter,
+  SpendReporter,
+  SyslogReporter,
+  WebhookReporter
+} = require('./reporters');
 
 /** @typedef {import('./abstract-reporter')} AbstractReporter */
 
@@ -50,6 +60,19 @@ class Plugin extends EventEmitter {
 
     this.nodeLogName = null;
     this.walletLogName = null;
+
+    this.metrics = this.config.bool('weblog-metrics', true);
+    this.metricsMaxRoutes = this.config.uint('weblog-metrics-max-routes');
+
+    this.saveState = this.config.bool('weblog-state', true);
+
+    this.redact = {
+      keys: this.config.array('weblog-redact-keys'),
+      paths: this.config.array('weblog-redact-paths'),
+      values: this.config.array('weblog-redact-values'),
+      methods: this.config.array('weblog-redact-methods'),
+      mode: this.config.str('weblog-redact-mode')
+    };
   }
 
   init() {
@@ -67,7 +90,11 @@ class Plugin extends EventEmitter {
       this.nodeLogger = new Logger({
         name: this.nodeLogName,
         node: this.node,
-        config: this.config
+        config: this.config,
+        metrics: this.metrics,
+        metricsMaxRoutes: this.metricsMaxRoutes,
+        redact: this.redact,
+        stateFile: this.stateFile(this.nodeLogName)
       });
 
       this.loggers.push(this.nodeLogger);
@@ -82,7 +109,11 @@ class Plugin extends EventEmitter {
       this.walletLogger = new Logger({
         name: this.walletLogName,
         node: this.wallet,
-        config: this.config
+        config: this.config,
+        metrics: this.metrics,
+        metricsMaxRoutes: this.metricsMaxRoutes,
+        redact: this.redact,
+        stateFile: this.stateFile(this.walletLogName)
       });
 
       this.loggers.push(this.walletLogger);
@@ -93,6 +124,19 @@ class Plugin extends EventEmitter {
     this.checkWalletReporters();
   }
 
+  /**
+   * Get state file path for the logger.
+   * @param {String} logName
+   * @returns {String?}
+   */
+
+  stateFile(logName) {
+    if (this.memory || !this.saveState)
+      return null;
+
+    return this.config.location(logName + '-state.json');
+  }
+
   /**
    * Check reporters that are common to both.
    */
@@ -100,12 +144,73 @@ class Plugin extends EventEmitter {
   checkReporters() {
     const console = this.config.bool('weblog-reporter-console', true);
     const file = this.config.bool('weblog-reporter-file', true);
+    const histogram = this.config.bool('weblog-reporter-histogram', true);
+    const slow = this.config.bool('weblog-reporter-slow', false);
+    const rpc = this.config.bool('weblog-reporter-rpc', false);
+    const syslog = this.config.bool('weblog-reporter-syslog', false);
+    const webhook = this.config.bool('weblog-reporter-webhook', false);
 
     if (console) {
       this.nodeReporters.push({ Reporter: ConsoleReporter, options: {} });
       this.walletReporters.push({ Reporter: ConsoleReporter, options: {} });
     }
 
+    if (histogram) {
+      const maxRoutes = this.config.uint('weblog-histogram-max-routes');
+      const options = { maxRoutes };
+
+      this.nodeReporters.push({ Reporter: HistogramReporter, options });
+      this.walletReporters.push({ Reporter: HistogramReporter, options });
+    }
+
+    if (slow) {
+      this.nodeReporters.push({
+        Reporter: SlowReporter,
+        options: this.slowOptions(this.nodeLogName)
+      });
+
+      this.walletReporters.push({
+        Reporter: SlowReporter,
+        options: this.slowOptions(this.walletLogName)
+      });
+    }
+
+    if (rpc) {
+      this.nodeReporters.push({
+        Reporter: RPCReporter,
+        options: this.rpcOptions(this.nodeLogName)
+      });
+
+      this.walletReporters.push({
+        Reporter: RPCReporter,
+        options: this.rpcOptions(this.walletLogName)
+      });
+    }
+
+    if (syslog) {
+      this.nodeReporters.push({
+        Reporter: SyslogReporter,
+        options: this.syslogOptions(this.nodeLogName)
+      });
+
+      this.walletReporters.push({
+        Reporter: SyslogReporter,
+        options: this.syslogOptions(this.walletLogName)
+      });
+    }
+
+    if (webhook) {
+      this.nodeReporters.push({
+        Reporter: WebhookReporter,
+        options: this.webhookOptions(this.nodeLogName)
+      });
+
+      this.walletReporters.push({
+        Reporter: WebhookReporter,
+        options: this.webhookOptions(this.walletLogName)
+      });
+    }
+
     // register node file reporter
     if (file) {
       const fileName = this.config.str(
@@ -114,20 +219,21 @@ class Plugin extends EventEmitter {
       );
 
       const filePath = this.config.location(fileName);
-      const fileMaxSize = this.config.mb('weblog-node-file-size');
-      const fileMaxFiles = this.config.int('weblog-node-max-files');
+      const fileChain = this.config.bool('weblog-node-file-chain');
       const logParams = this.config.bool('weblog-node-file-params');
       const logResponse = this.config.bool('weblog-node-file-response');
+      const logSockets = this.config.bool('weblog-node-file-sockets');
 
       this.nodeReporters.push({
         Reporter: FileReporter,
         options: {
           name: this.nodeLogName,
           filePath,
-          fileMaxSize,
-          fileMaxFiles,
+          ...this.fileOptions('weblog-node'),
+          fileChain,
           logParams,
-          logResponse
+          logResponse,
+          logSockets
         }
       });
     }
@@ -140,25 +246,127 @@ class Plugin extends EventEmitter {
       );
 
       const filePath = this.config.location(fileName);
-      const fileMaxSize = this.config.mb('weblog-wallet-file-size');
-      const fileMaxFiles = this.config.int('weblog-wallet-max-files');
+      const fileChain = this.config.bool('weblog-wallet-file-chain');
       const logParams = this.config.bool('weblog-wallet-file-params');
       const logResponse = this.config.bool('weblog-wallet-file-response');
+      const logSockets = this.config.bool('weblog-wallet-file-sockets');
 
       this.walletReporters.push({
         Reporter: FileReporter,
         options: {
           name: this.walletLogName,
           filePath,
-          fileMaxSize,
-          fileMaxFiles,
+          ...this.fileOptions('weblog-wallet'),
+          fileChain,
           logParams,
-          logResponse
+          logResponse,
+          logSockets
         }
       });
     }
   }
 
+  /**
+   * Get rotating log file options of the reporter.
+   * @param {String} prefix - config prefix, e.g. `weblog-slow`.
+   * @returns {Object}
+   */
+
+  fileOptions(prefix) {
+    return {
+      fileMaxSize: this.config.mb(`${prefix}-file-size`),
+      fileMaxFiles: this.config.int(`${prefix}-max-files`),
+      fileCompress: this.config.bool(`${prefix}-file-compress`),
+      fileRotate: this.config.str(`${prefix}-file-rotate`),
+      fileMaxAge: hours(this.config.uint(`${prefix}-max-age`)),
+      fileMaxTotalSize: this.config.mb(`${prefix}-max-total-size`)
+    };
+  }
+
+  /**
+   * Get slow reporter options for the logger.
+   * @param {String} logName
+   * @returns {Object}
+   */
+
+  slowOptions(logName) {
+    const filePath = this.config.location(logName + '-slow.log');
+    const statuses = this.config.array('weblog-slow-statuses');
+
+    return {
+      name: logName,
+      filePath,
+      ...this.fileOptions('weblog-slow'),
+      threshold: this.config.ufloat('weblog-slow-threshold'),
+      statuses: statuses ? statuses.map(String) : null,
+      maxPending: this.config.uint('weblog-slow-max-pending')
+    };
+  }
+
+  /**
+   * Get RPC reporter options for the logger.
+   * @param {String} logName
+   * @returns {Object}
+   */
+
+  rpcOptions(logName) {
+    const filePath = this.config.location(logName + '-rpc.log');
+
+    return {
+      name: logName,
+      filePath,
+      ...this.fileOptions('weblog-rpc'),
+      logParams: this.config.bool('weblog-rpc-params'),
+      maxMethods: this.config.uint('weblog-rpc-max-methods')
+    };
+  }
+
+  /**
+   * Get syslog reporter options for the logger.
+   * @param {String} logName
+   * @returns {Object}
+   */
+
+  syslogOptions(logName) {
+    return {
+      name: logName,
+      transport: this.config.str('weblog-syslog-transport'),
+      host: this.config.str('weblog-syslog-host'),
+      port: this.config.uint('weblog-syslog-port'),
+      path: this.config.str('weblog-syslog-path'),
+      maxBuffer: this.config.uint('weblog-syslog-max-buffer'),
+      facility: this.config.str('weblog-syslog-facility'),
+      hostname: this.config.str('weblog-syslog-hostname'),
+      appName: this.config.str('weblog-syslog-app-name', logName),
+      sdID: this.config.str('weblog-syslog-sd-id')
+    };
+  }
+
+  /**
+   * Get webhook reporter options for the logger.
+   * @param {String} logName
+   * @returns {Object}
+   */
+
+  webhookOptions(logName) {
+    const spoolPath = this.config.location(logName + '-webhook.spool');
+    const headers = this.config.array('weblog-webhook-headers');
+
+    return {
+      name: logName,
+      url: this.config.str('weblog-webhook-url'),
+      events: this.config.array('weblog-webhook-events'),
+      headers: headers ? parseHeaders(headers) : null,
+      batchSize: this.config.uint('weblog-webhook-batch-size'),
+      interval: this.config.uint('weblog-webhook-interval'),
+      timeout: this.config.uint('weblog-webhook-timeout'),
+      maxBackoff: this.config.uint('weblog-webhook-max-backoff'),
+      maxQueue: this.config.uint('weblog-webhook-max-queue'),
+      spoolPath,
+      spoolMaxSize: this.config.mb('weblog-webhook-spool-size')
+    };
+  }
+
   /**
    * Check node specific reporters.
    */
@@ -187,16 +395,39 @@ class Plugin extends EventEmitter {
       );
 
       const filePath = this.config.location(fileName);
-      const fileMaxSize = this.config.mb('weblog-name-file-size');
-      const fileMaxFiles = this.config.int('weblog-name-max-files');
+      const fileChain = this.config.bool('weblog-name-file-chain');
+      const trackTX = this.config.bool('weblog-name-track-tx');
+      const maxTracked = this.config.uint('weblog-name-max-tracked');
 
       this.walletReporters.push({
         Reporter: NameReporter,
         options: {
           name: this.walletLogName,
           filePath,
-          fileMaxSize,
-          fileMaxFiles
+          ...this.fileOptions('weblog-name'),
+          fileChain,
+          trackTX,
+          maxTracked
+        }
+      });
+    }
+
+    const spend = this.config.bool('weblog-reporter-spend', false);
+
+    if (spend) {
+      const fileName = this.config.str(
+        'weblog-spend-file-name',
+        this.walletLogName + '-spend.log'
+      );
+
+      const filePath = this.config.location(fileName);
+
+      this.walletReporters.push({
+        Reporter: SpendReporter,
+        options: {
+          name: this.walletLogName,
+          filePath,
+          ...this.fileOptions('weblog-spend')
         }
       });
     }
@@ -217,8 +448,11 @@ class Plugin extends EventEmitter {
       await this.register(
         this.walletLogger,
         this.walletReporters,
-        !this.memory
+        !this.memory,
+        'wallet'
       );
+
+      await this.walletLogger.restore();
     }
 
     if (this.nodeLogger) {
@@ -226,11 +460,20 @@ class Plugin extends EventEmitter {
         this.emit('error', e);
       });
 
-      await this.register(this.nodeLogger, this.nodeReporters, !this.memory);
+      await this.register(
+        this.nodeLogger,
+        this.nodeReporters,
+        !this.memory,
+        'node'
+      );
+
+      await this.nodeLogger.restore();
     }
   }
 
   async close() {
+    for (const logger of this.loggers)
+      await logger.close();
   }
 
   /**
@@ -238,18 +481,63 @@ class Plugin extends EventEmitter {
    * @param {Logger} logger
    * @param {Class[]} reporters
    * @param {Boolean} [enable = false]
+   * @param {String} prefix - config prefix (node or wallet).
    * @returns {Promise}
    */
 
-  async register(logger, reporters, enable = false) {
+  async register(logger, reporters, enable = false, prefix) {
     const registers = [];
 
-    for (const {Reporter, options} of reporters)
-      registers.push(logger.register(Reporter, options, enable));
+    for (const {Reporter, options} of reporters) {
+      registers.push(logger.register(Reporter, {
+        ...options,
+        ...this.sampleOptions(prefix, Reporter.id),
+        ...this.filterOptions(prefix, Reporter.id)
+      }, enable));
+    }
 
     await Promise.all(registers);
   }
 
+  /**
+   * Get include/exclude filters of the reporter,
+   * e.g. weblog-file-exclude or weblog-node-file-exclude.
+   * Prefixed options take precedence.
+   * @param {String} prefix - node or wallet.
+   * @param {String} id - reporter id.
+   * @returns {Object}
+   */
+
+  filterOptions(prefix, id) {
+    const include = this.config.array(`weblog-${prefix}-${id}-include`)
+      ?? this.config.array(`weblog-${id}-include`);
+    const exclude = this.config.array(`weblog-${prefix}-${id}-exclude`)
+      ?? this.config.array(`weblog-${id}-exclude`);
+
+    return {
+      include,
+      exclude
+    };
+  }
+
+  /**
+   * Get sampling options of the reporter.
+   * e.g. weblog-node-file-sample-rate.
+   * @param {String} prefix - node or wallet.
+   * @param {String} id - reporter id.
+   * @returns {Object}
+   */
+
+  sampleOptions(prefix, id) {
+    const key = `weblog-${prefix}-${id}-sample`;
+
+    return {
+      sampleRate: this.config.ufloat(`${key}-rate`),
+      sampleErrors: this.config.bool(`${key}-errors`),
+      sampleWrites: this.config.bool(`${key}-writes`)
+    };
+  }
+
   /**
    * Unregister reporters
    * @param {Logger} logger
@@ -273,4 +561,37 @@ class Plugin extends EventEmitter {
   static id = 'weblog';
 }
 
+/**
+ * Hours to milliseconds.
+ * @param {Number?} value
+ * @returns {Number?}
+ */
+
+function hours(value) {
+  if (value == null)
+    return null;
+
+  return value * 60 * 60 * 1000;
+}
+
+/**
+ * Parse `Name: value` headers.
+ * @param {String[]} list
+ * @returns {Object}
+ */
+
+function parseHeaders(list) {
+  const headers = {};
+
+  for (const item of list) {
+    const index = item.indexOf(':');
+
+    assert(index > 0, `Invalid header: ${item}.`);
+
+    headers[item.slice(0, index).trim()] = item.slice(index + 1).trim();
+  }
+
+  return headers;
+}
+
 module.exports = Plugin;
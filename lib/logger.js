@@ -7,8 +7,27 @@
 'use strict';
 
 const assert = require('bsert');
+const crypto = require('crypto');
 const Validator = require('bval');
 const EventEmitter = require('events');
+const RequestMetrics = require('./metrics');
+const Redactor = require('./redact');
+const StateFile = require('./store/state-file');
+const {has} = require('./util');
+
+/**
+ * Request id header.
+ * @const {String}
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Accepted client provided request ids.
+ * @const {RegExp}
+ */
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:@\-]{1,128}$/;
 
 /** @typedef {import('./reporters/abstract')} AbstractReporter */
 
@@ -16,6 +35,7 @@ const EventEmitter = require('events');
  * @typedef {Object} AvailReporter
  * @property {Class} Reporter
  * @property {Object} options
+ * @property {Boolean} enable - enabled by default.
  */
 
 /**
@@ -23,10 +43,14 @@ const EventEmitter = require('events');
  * @alias module:logger.Logger
  * @class
  * @property {String} name
+ * @property {Object} logger
  * @property {Object} http
  * @property {Object} config
  * @property {Map<String, AvailReporter>} availableReporters
  * @property {Map<String, AbstractReporter>} enabledReporters
+ * @property {RequestMetrics?} metrics
+ * @property {Redactor} redactor
+ * @property {StateFile?} state - reporter changes made at runtime.
  */
 
 class Logger extends EventEmitter {
@@ -37,8 +61,22 @@ class Logger extends EventEmitter {
     this.name = this.options.name;
     this.config = this.options.config;
     this.http = this.options.http;
+    this.logger = this.options.logger.context(this.name);
     this.availableReporters = new Map();
     this.enabledReporters = new Map();
+    this.metrics = null;
+    this.redactor = new Redactor(this.options.redact);
+    this.state = null;
+
+    if (this.options.stateFile)
+      this.state = new StateFile({ filename: this.options.stateFile });
+
+    if (this.options.metrics) {
+      this.metrics = new RequestMetrics({
+        name: this.name,
+        maxRoutes: this.options.metricsMaxRoutes
+      });
+    }
   }
 
   /**
@@ -48,6 +86,19 @@ class Logger extends EventEmitter {
   init() {
     this.initManagerRoutes();
     this.wrapRouter();
+    this.wrapRPC();
+    this.wrapSockets();
+  }
+
+  /**
+   * Disable all enabled reporters, so they can flush
+   * what's left and release their resources.
+   * @returns {Promise}
+   */
+
+  async close() {
+    for (const id of Array.from(this.enabledReporters.keys()))
+      await this.disableReporter(id);
   }
 
   /**
@@ -62,7 +113,7 @@ class Logger extends EventEmitter {
       const routes = router[type];
 
       for (const route of routes) {
-        route.handler = this.wrapHandle(route.handler);
+        route.handler = this.wrapHandle(route.handler, routePattern(route));
       }
     }
 
@@ -93,33 +144,245 @@ class Logger extends EventEmitter {
       meta.errored = wres.sentObject;
       meta.end = process.hrtime.bigint();
 
+      if (this.metrics)
+        this.metrics.finish(req, meta);
+
       await this.logRequestFinished(req, res, meta);
     };
   };
 
-  wrapHandle(handler) {
+  /**
+   * Wrap route handler.
+   * @param {Function} handler
+   * @param {String?} [route = null] - registered route pattern.
+   * @returns {Function}
+   */
+
+  wrapHandle(handler, route = null) {
     const whandler = async (req, res) => {
       const wres = this.wrapResponse(res);
 
       const meta = new FinishedMetaData();
+      meta.id = this.getRequestID(req);
+      meta.route = route;
       meta.start = process.hrtime.bigint();
 
-      await this.logRequest(req, meta);
+      res.setHeader(REQUEST_ID_HEADER, meta.id);
 
       let result;
       try {
-        result = await handler(req, wres);
-        meta.statusCode = res.statusCode;
-        meta.response = wres.sentObject;
+        if (this.metrics)
+          this.metrics.begin();
+
+        await this.logRequest(req, meta);
+
+        try {
+          result = await handler(req, wres);
+          meta.statusCode = res.statusCode;
+          meta.response = wres.sentObject;
+        } catch (e) {
+          req.meta = meta;
+          throw e;
+        }
+
+        meta.end = process.hrtime.bigint();
+
+        if (this.metrics)
+          this.metrics.finish(req, meta);
+
+        await this.logRequestFinished(req, res, meta);
+      } finally {
+        if (this.metrics)
+          this.metrics.end();
+      }
+
+      return result;
+    };
+
+    whandler._handler = handler;
+
+    return whandler;
+  }
+
+  /**
+   * Wrap JSON-RPC calls. bweb's jsonRPC middleware answers the RPC
+   * requests before the router, so they never reach the wrapped
+   * route handlers. Request begins when the middleware calls
+   * `rpc.call` and finishes once the middleware has responded.
+   */
+
+  wrapRPC() {
+    const {rpc, stack} = this.http;
+
+    if (!rpc || typeof rpc.call !== 'function' || !Array.isArray(stack))
+      return;
+
+    // Middleware requests by `req.query`, which is passed to `rpc.call`.
+    const requests = new WeakMap();
+    const call = rpc.call.bind(rpc);
+
+    rpc.call = async (body, query) => {
+      const request = query ? requests.get(query) : null;
+
+      // Not called by the middleware or called more than once.
+      if (!request || request.meta)
+        return call(body, query);
+
+      const {req, res, route} = request;
+      const meta = new FinishedMetaData();
+      meta.id = this.getRequestID(req);
+      meta.route = route;
+      meta.start = process.hrtime.bigint();
+
+      res.setHeader(REQUEST_ID_HEADER, meta.id);
+      request.meta = meta;
+
+      // Ended by the middleware, once `request.meta` is set.
+      if (this.metrics)
+        this.metrics.begin();
+
+      await this.logRequest(req, meta);
+
+      const json = await call(body, query);
+
+      meta.response = json;
+
+      return json;
+    };
+
+    for (const hook of stack) {
+      // Error handlers (err, req, res) are not called for the requests.
+      if (hook.arity === 2) {
+        hook.handler = this.wrapMiddleware(hook.handler, hook.path,
+          requests);
+      }
+    }
+  }
+
+  /**
+   * Wrap middleware, so `rpc.call` can find the request
+   * and log the RPC request after the middleware responded.
+   * @param {Function} handler
+   * @param {String} route - path the middleware is used on.
+   * @param {WeakMap<Object, Object>} requests
+   * @returns {Function}
+   */
+
+  wrapMiddleware(handler, route, requests) {
+    const whandler = async (req, res) => {
+      const request = { req, res, route, meta: null };
+
+      requests.set(req.query, request);
+
+      try {
+        await handler(req, res);
       } catch (e) {
-        req.meta = meta;
+        if (request.meta)
+          req.meta = request.meta;
         throw e;
+      } finally {
+        requests.delete(req.query);
+
+        if (request.meta && this.metrics)
+          this.metrics.end();
       }
 
+      const meta = request.meta;
+
+      if (!meta || !res.sent)
+        return;
+
+      meta.statusCode = res.statusCode;
       meta.end = process.hrtime.bigint();
+
+      if (this.metrics)
+        this.metrics.finish(req, meta);
+
       await this.logRequestFinished(req, res, meta);
+    };
 
-      return result;
+    whandler._handler = handler;
+
+    return whandler;
+  }
+
+  /**
+   * Wrap socket handler of the server, so we can wrap the hooks
+   * before the server registers them.
+   */
+
+  wrapSockets() {
+    if (typeof this.http.handleSocket !== 'function')
+      return;
+
+    const _handleSocket = this.http.handleSocket.bind(this.http);
+
+    this.http.handleSocket = (socket) => {
+      this.wrapSocket(socket);
+      return _handleSocket(socket);
+    };
+  }
+
+  /**
+   * Log socket open/close and wrap the hooks of the socket.
+   * @param {Object} socket
+   */
+
+  wrapSocket(socket) {
+    const meta = new SocketMetaData();
+    meta.id = randomID();
+    meta.host = socket.host ?? null;
+    meta.port = socket.port ?? null;
+    meta.start = process.hrtime.bigint();
+
+    const hook = socket.hook;
+
+    socket.hook = (event, handler) => {
+      const whandler = this.wrapSocketHandle(meta, event, handler);
+      return hook.call(socket, event, whandler);
+    };
+
+    socket.once('close', () => {
+      meta.end = process.hrtime.bigint();
+      this.logSocket(r => r.logSocketClose(meta));
+    });
+
+    this.logSocket(r => r.logSocketOpen(meta));
+  }
+
+  /**
+   * Wrap socket hook handler.
+   * @param {SocketMetaData} socket
+   * @param {String} event
+   * @param {Function} handler
+   * @returns {Function}
+   */
+
+  wrapSocketHandle(socket, event, handler) {
+    const whandler = async (...args) => {
+      const meta = new SocketCallMetaData();
+      meta.id = randomID();
+      meta.socket = socket;
+      meta.event = event;
+      meta.args = args;
+      meta.start = process.hrtime.bigint();
+
+      socket.calls += 1;
+
+      await this.logSocket(r => r.logSocketCall(meta));
+
+      try {
+        return await handler(...args);
+      } catch (e) {
+        meta.errored = {
+          message: e.message,
+          code: e.code ?? undefined
+        };
+        throw e;
+      } finally {
+        meta.end = process.hrtime.bigint();
+        await this.logSocket(r => r.logSocketCallFinished(meta));
+      }
     };
 
     whandler._handler = handler;
@@ -127,6 +390,23 @@ class Logger extends EventEmitter {
     return whandler;
   }
 
+  /**
+   * Get client provided request id or generate new one.
+   * @param {Object} req
+   * @returns {String}
+   */
+
+  getRequestID(req) {
+    const header = req.headers
+      ? req.headers[REQUEST_ID_HEADER.toLowerCase()]
+      : null;
+
+    if (typeof header === 'string' && REQUEST_ID_RE.test(header))
+      return header;
+
+    return randomID();
+  }
+
   /**
    * Caught error thrown by reporter.
    * @param {Error} e
@@ -162,11 +442,23 @@ class Logger extends EventEmitter {
       if (status && !isEnabled)
         await this.enableReporter(id);
 
+      // New instance starts with the configured options.
+      if (status !== isEnabled)
+        await this.saveState(id, { enabled: status });
+
       const reporters = this.listReportersStatuses();
 
       res.json(200, { reporters });
     });
 
+    // Must come before /bweb-log/:id.
+    this.http.get('/bweb-log/metrics', async (req, res) => {
+      enforce(this.metrics, 'Metrics are disabled.');
+
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+      res.send(200, this.metrics.toText());
+    });
+
     this.http.get('/bweb-log/:id', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const id = valid.str('id');
@@ -175,12 +467,45 @@ class Logger extends EventEmitter {
       enforce(this.isEnabled(id), `Reporter ${id} is not enabled.`);
 
       const reporter = this.enabledReporters.get(id);
+      const stats = await reporter.getStats();
 
       res.json(200, {
-        options: await reporter.getOptions()
+        options: await this.getReporterOptions(reporter),
+        stats: stats ?? undefined
       });
     });
 
+    this.http.get('/bweb-log/:id/search', async (req, res) => {
+      // `id` of the query is the request id filter.
+      const valid = new Validator(req.params);
+      const id = valid.str('id');
+
+      enforce(this.hasReporter(id), `Reporter ${id} does not exist.`);
+      enforce(this.isEnabled(id), `Reporter ${id} is not enabled.`);
+
+      const reporter = this.enabledReporters.get(id);
+      const result = await reporter.search(req);
+
+      enforce(result, `Reporter ${id} does not support search.`);
+
+      res.json(200, result);
+    });
+
+    this.http.get('/bweb-log/:id/verify', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+
+      enforce(this.hasReporter(id), `Reporter ${id} does not exist.`);
+      enforce(this.isEnabled(id), `Reporter ${id} is not enabled.`);
+
+      const reporter = this.enabledReporters.get(id);
+      const result = await reporter.verify();
+
+      enforce(result, `Reporter ${id} does not have chained logs.`);
+
+      res.json(200, result);
+    });
+
     this.http.put('/bweb-log/:id', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const id = valid.str('id');
@@ -189,14 +514,236 @@ class Logger extends EventEmitter {
       enforce(this.isEnabled(id), `Reporter ${id} is not enabled.`);
 
       const reporter = this.enabledReporters.get(id);
-      await reporter.setOptions(req);
+      await this.setReporterOptions(reporter, req);
+
+      const options = await this.getReporterOptions(reporter);
+
+      await this.saveOptions(id, req, has(options, 'redact'));
+
+      res.json(200, {
+        options
+      });
+    });
+
+    this.http.del('/bweb-log/:id/state', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.str('id');
+
+      enforce(this.hasReporter(id), `Reporter ${id} does not exist.`);
+
+      await this.resetReporter(id);
+
+      const enabled = this.isEnabled(id);
+      let options;
+
+      if (enabled)
+        options = await this.getReporterOptions(this.enabledReporters.get(id));
 
       res.json(200, {
-        options: await reporter.getOptions()
+        enabled,
+        options
       });
     });
   }
 
+  /**
+   * Set reporter, filter and sampling options from the request.
+   * Filters and sampling are read before the reporter options are
+   * set, so invalid request does not change anything.
+   * @param {AbstractReporter} reporter
+   * @param {Object} req
+   * @returns {Promise}
+   */
+
+  async setReporterOptions(reporter, req) {
+    const filter = reporter.filtersFromReq(req);
+    const sample = reporter.samplingFromReq(req);
+
+    await reporter.setOptions(req);
+
+    reporter.setSampling(sample);
+    reporter.setFilters(filter);
+  }
+
+  /**
+   * Persist runtime changes of the reporter.
+   * @param {String} id
+   * @param {Object} state
+   * @returns {Promise}
+   */
+
+  async saveState(id, state) {
+    if (!this.state)
+      return;
+
+    try {
+      await this.state.set(id, state);
+    } catch (e) {
+      this.logger.warning('Could not save state of %s: %s', id, e.message);
+    }
+  }
+
+  /**
+   * Persist the options set with PUT /bweb-log/:id. Only the keys of the
+   * request are saved, the configured values still apply to the rest.
+   * Redaction rules are shared by the reporters, so they are saved
+   * separately from the reporter.
+   * @param {String} id
+   * @param {Object} req
+   * @param {Boolean} redact - reporter takes redaction rules.
+   * @returns {Promise}
+   */
+
+  async saveOptions(id, req, redact) {
+    if (!this.state)
+      return;
+
+    const saved = this.state.get(id);
+    const options = requestOptions(req);
+    const rules = options.redact;
+
+    delete options.redact;
+
+    await this.saveState(id, {
+      enabled: true,
+      options: mergeOptions(saved ? saved.options : null, options)
+    });
+
+    if (redact && rules && typeof rules === 'object')
+      await this.saveRedact(mergeOptions(this.state.redact, rules));
+  }
+
+  /**
+   * Persist changed redaction rules.
+   * @param {Object?} redact
+   * @returns {Promise}
+   */
+
+  async saveRedact(redact) {
+    try {
+      await this.state.setRedact(redact);
+    } catch (e) {
+      this.logger.warning('Could not save redaction rules: %s', e.message);
+    }
+  }
+
+  /**
+   * Restore reporters changed at runtime.
+   * @returns {Promise}
+   */
+
+  async restore() {
+    if (!this.state)
+      return;
+
+    try {
+      await this.state.read();
+    } catch (e) {
+      this.logger.warning('Could not read state: %s', e.message);
+      return;
+    }
+
+    if (this.state.redact) {
+      try {
+        this.redactor.fromJSON({
+          ...this.redactor.toJSON(),
+          ...this.state.redact
+        });
+      } catch (e) {
+        this.logger.warning('Could not restore redaction rules: %s',
+          e.message);
+      }
+    }
+
+    for (const [id, state] of this.state.reporters) {
+      if (!this.hasReporter(id))
+        continue;
+
+      try {
+        await this.restoreReporter(id, state);
+      } catch (e) {
+        this.logger.warning('Could not restore %s: %s', id, e.message);
+      }
+    }
+  }
+
+  /**
+   * @param {String} id
+   * @param {Object} state
+   * @returns {Promise}
+   */
+
+  async restoreReporter(id, state) {
+    const isEnabled = this.isEnabled(id);
+
+    if (!state.enabled) {
+      if (isEnabled)
+        await this.disableReporter(id);
+      return;
+    }
+
+    if (!isEnabled)
+      await this.enableReporter(id);
+
+    if (!state.options)
+      return;
+
+    const reporter = this.enabledReporters.get(id);
+
+    // Options are saved as they were sent to PUT /bweb-log/:id.
+    await this.setReporterOptions(reporter, {
+      params: {},
+      query: {},
+      body: state.options
+    });
+  }
+
+  /**
+   * Forget runtime changes and go back to the configured reporter.
+   * @param {String} id
+   * @returns {Promise}
+   */
+
+  async resetReporter(id) {
+    const {enable} = this.availableReporters.get(id);
+    let redact = false;
+
+    // Redaction rules are shared, they are changed
+    // with the reporter that takes them (file).
+    if (this.state && this.state.redact && this.isEnabled(id)) {
+      const options = await this.enabledReporters.get(id).getOptions();
+      redact = has(options, 'redact');
+    }
+
+    if (this.state)
+      await this.state.remove(id);
+
+    if (redact) {
+      this.redactor.fromJSON(new Redactor(this.options.redact).toJSON());
+      await this.saveRedact(null);
+    }
+
+    if (this.isEnabled(id))
+      await this.disableReporter(id);
+
+    if (enable)
+      await this.enableReporter(id);
+  }
+
+  /**
+   * Reporter options with filters and sampling options.
+   * @param {AbstractReporter} reporter
+   * @returns {Promise<Object>}
+   */
+
+  async getReporterOptions(reporter) {
+    return {
+      ...await reporter.getOptions(),
+      ...reporter.getFilters(),
+      sample: reporter.getSampling()
+    };
+  }
+
   /**
    * @param {Object} req
    * @param {FinishedMetaData} meta
@@ -205,8 +752,19 @@ class Logger extends EventEmitter {
 
   async logRequest(req, meta) {
     const all = [];
-    for (const reporter of this.enabledReporters.values())
-      all.push(reporter.logRequest(req, meta));
+    for (const [id, reporter] of this.enabledReporters) {
+      if (!reporter.filter(req, meta)) {
+        meta.filtered.add(id);
+        continue;
+      }
+
+      const sampled = reporter.sample(req);
+
+      meta.sampled.set(id, sampled);
+
+      if (sampled)
+        all.push(reporter.logRequest(req, meta));
+    }
     await Promise.all(all);
   }
 
@@ -221,11 +779,63 @@ class Logger extends EventEmitter {
     assert(res.sent);
 
     const all = [];
-    for (const reporter of this.enabledReporters.values())
-      all.push(reporter.logRequestFinished(req, res, meta));
+    for (const [id, reporter] of this.enabledReporters) {
+      if (meta.filtered.has(id))
+        continue;
+
+      // Reporters enabled after the request began have not decided yet.
+      const sampled = meta.sampled.get(id) ?? true;
+
+      if (reporter.sampleFinished(meta, sampled))
+        all.push(reporter.logRequestFinished(req, res, meta));
+    }
     await Promise.all(all);
   }
 
+  /**
+   * Report socket event to all enabled reporters. Socket events
+   * are not filtered or sampled. Errors can't be returned
+   * to the socket, so they are emitted instead.
+   * @param {Function} report - called with each reporter.
+   * @returns {Promise}
+   */
+
+  async logSocket(report) {
+    const all = [];
+
+    for (const reporter of this.enabledReporters.values())
+      all.push(report(reporter));
+
+    try {
+      await Promise.all(all);
+    } catch (e) {
+      this.error(e);
+    }
+  }
+
+  /**
+   * Pass the entry written by the reporter (e.g. name events)
+   * to the other enabled reporters.
+   * @param {String} source - id of the reporter.
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+
+  async logEntry(source, entry) {
+    const all = [];
+
+    for (const [id, reporter] of this.enabledReporters) {
+      if (id !== source)
+        all.push(reporter.logEntry(source, entry));
+    }
+
+    try {
+      await Promise.all(all);
+    } catch (e) {
+      this.error(e);
+    }
+  }
+
   /**
    * Register reporter
    * @param {AbstractReporter} Reporter
@@ -242,7 +852,8 @@ class Logger extends EventEmitter {
 
     this.availableReporters.set(Reporter.id, {
       Reporter,
-      options
+      options,
+      enable
     });
 
     if (enable)
@@ -294,6 +905,7 @@ class Logger extends EventEmitter {
 
     const instance = Reporter.init({
       ...this.options,
+      redactor: this.redactor,
       ...options,
       ...addOpts
     });
@@ -301,6 +913,12 @@ class Logger extends EventEmitter {
     await instance.open();
 
     instance.on('error', this.error.bind(this));
+    instance.on('entry', entry => this.logEntry(id, entry));
+    instance.on('prune', (info) => {
+      this.logger.info('Pruned %s (%s, %d bytes).',
+        info.file, info.reason, info.size);
+      this.emit('prune', id, info);
+    });
 
     this.enabledReporters.set(id, instance);
   }
@@ -317,7 +935,7 @@ class Logger extends EventEmitter {
 
     const instance = this.enabledReporters.get(id);
 
-    instance.removeAllListeners('error');
+    instance.removeAllListeners();
 
     await instance.close();
     this.enabledReporters.delete(id);
@@ -352,9 +970,14 @@ class LoggerOptions {
   constructor(options) {
     this.name = 'bweb-logger';
     this.node = null;
+    this.logger = null;
     this.nodeConfig = null;
     this.config = null;
     this.http = null;
+    this.metrics = true;
+    this.metricsMaxRoutes = null;
+    this.redact = null;
+    this.stateFile = null;
 
     this.fromOptions(options);
   }
@@ -364,6 +987,7 @@ class LoggerOptions {
     assert(typeof options.node === 'object');
 
     this.node = options.node;
+    this.logger = this.node.logger;
     this.config = this.node.config;
     this.nodeConfig = this.node.config;
     this.http = this.node.http;
@@ -382,6 +1006,26 @@ class LoggerOptions {
       assert(typeof options.http === 'object');
       this.http = options.http;
     }
+
+    if (options.metrics != null) {
+      assert(typeof options.metrics === 'boolean');
+      this.metrics = options.metrics;
+    }
+
+    if (options.metricsMaxRoutes != null) {
+      assert((options.metricsMaxRoutes >>> 0) === options.metricsMaxRoutes);
+      this.metricsMaxRoutes = options.metricsMaxRoutes;
+    }
+
+    if (options.redact != null) {
+      assert(typeof options.redact === 'object');
+      this.redact = options.redact;
+    }
+
+    if (options.stateFile != null) {
+      assert(typeof options.stateFile === 'string');
+      this.stateFile = options.stateFile;
+    }
   }
 }
 
@@ -410,6 +1054,76 @@ class WrappedResponse {
   }
 }
 
+/**
+ * Get route pattern from the bweb route.
+ * @param {Object} route
+ * @returns {String?}
+ */
+
+function routePattern(route) {
+  if (typeof route.path === 'string')
+    return route.path;
+
+  if (route.regex instanceof RegExp)
+    return String(route.regex);
+
+  return null;
+}
+
+/**
+ * Options set by the request, without the actions (e.g. reset).
+ * @param {Object} req
+ * @returns {Object}
+ */
+
+function requestOptions(req) {
+  const options = {
+    ...req.query,
+    ...req.body
+  };
+
+  delete options.reset;
+
+  return options;
+}
+
+/**
+ * Merge options, objects (e.g. sample) are merged one level deep.
+ * @param {Object?} saved
+ * @param {Object} options
+ * @returns {Object}
+ */
+
+function mergeOptions(saved, options) {
+  const result = { ...saved };
+
+  for (const [key, value] of Object.entries(options)) {
+    if (isObject(result[key]) && isObject(value))
+      result[key] = { ...result[key], ...value };
+    else
+      result[key] = value;
+  }
+
+  return result;
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean}
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @returns {String}
+ */
+
+function randomID() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
 function enforce(value, msg) {
   if (!value) {
     const err = new Error(msg);
@@ -421,15 +1135,23 @@ function enforce(value, msg) {
 /**
  * Metadata for the finished request.
  * @alias module:logger.FinishedMetaData
+ * @property {String} id - request id.
  * @property {BigInt} start
  * @property {BigInt} end
  * @property {BigInt} diff
+ * @property {String?} route - registered route pattern.
+ * @property {Map<String, Boolean>} sampled - sampling decision per reporter.
+ * @property {Set<String>} filtered - reporters that filtered out the request.
  */
 
 class FinishedMetaData {
   constructor() {
+    this.id = '';
     this.start = 0n;
     this.end = 0n;
+    this.route = null;
+    this.sampled = new Map();
+    this.filtered = new Set();
 
     this.errored = null;
     this.statusCode = -1;
@@ -442,13 +1164,14 @@ class FinishedMetaData {
 
   requestJSON() {
     return {
-      id: this.start.toString()
+      id: this.id,
+      route: this.route ?? undefined
     };
   }
 
   responseJSON(response) {
     return {
-      id: this.start.toString(),
+      id: this.id,
       ms: Number(this.diff / 1000000n),
       status: this.statusCode,
       error: this.errored ?? undefined,
@@ -457,5 +1180,84 @@ class FinishedMetaData {
   }
 }
 
+/**
+ * Metadata of the socket connection.
+ * @alias module:logger.SocketMetaData
+ * @property {String} id - socket id.
+ * @property {String?} host - remote address.
+ * @property {Number?} port - remote port.
+ * @property {BigInt} start
+ * @property {BigInt} end
+ * @property {Number} calls - number of hook calls.
+ */
+
+class SocketMetaData {
+  constructor() {
+    this.id = '';
+    this.host = null;
+    this.port = null;
+    this.start = 0n;
+    this.end = 0n;
+    this.calls = 0;
+  }
+
+  get diff() {
+    return this.end - this.start;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      host: this.host ?? undefined,
+      port: this.port ?? undefined
+    };
+  }
+}
+
+/**
+ * Metadata of the socket hook call (e.g. `auth`, `watch chain`).
+ * @alias module:logger.SocketCallMetaData
+ * @property {String} id - call id.
+ * @property {SocketMetaData} socket
+ * @property {String} event
+ * @property {Array} args
+ * @property {BigInt} start
+ * @property {BigInt} end
+ * @property {Object?} errored - { message, code }
+ */
+
+class SocketCallMetaData {
+  constructor() {
+    this.id = '';
+    this.socket = null;
+    this.event = '';
+    this.args = [];
+    this.start = 0n;
+    this.end = 0n;
+    this.errored = null;
+  }
+
+  get diff() {
+    return this.end - this.start;
+  }
+
+  requestJSON() {
+    return {
+      id: this.id,
+      event: this.event
+    };
+  }
+
+  responseJSON() {
+    return {
+      id: this.id,
+      ms: Number(this.diff / 1000000n),
+      error: this.errored ?? undefined
+    };
+  }
+}
+
 Logger.FinishedMetaData = FinishedMetaData;
+Logger.SocketMetaData = SocketMetaData;
+Logger.SocketCallMetaData = SocketCallMetaData;
 module.exports = Logger;
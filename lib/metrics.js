@@ -0,0 +1,215 @@
+/*!
+ * metrics.js - Request metrics in prometheus text format.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Histogram = require('./histogram');
+
+/** @typedef {import('./logger').FinishedMetaData} FinishedMetaData */
+
+/**
+ * Label value used when we run out of route slots.
+ * @const {String}
+ */
+
+const OTHER_ROUTES = '*';
+
+/**
+ * Request metrics collected by the logger.
+ * @alias module:logger.RequestMetrics
+ * @property {String} name - logger name
+ * @property {Number} maxRoutes
+ * @property {Number} inFlight
+ * @property {Map<String, Object>} counters - requests by method/route/status
+ * @property {Map<String, Object>} histograms - latency by method/route
+ */
+
+class RequestMetrics {
+  /**
+   * @param {Object} options
+   * @param {String} options.name
+   * @param {Number} [options.maxRoutes = 500]
+   */
+
+  constructor(options) {
+    assert(typeof options === 'object');
+    assert(typeof options.name === 'string');
+
+    this.name = options.name;
+    this.maxRoutes = 500;
+
+    if (options.maxRoutes != null) {
+      assert((options.maxRoutes >>> 0) === options.maxRoutes);
+      this.maxRoutes = options.maxRoutes;
+    }
+
+    this.inFlight = 0;
+    this.routes = new Set();
+    this.counters = new Map();
+    this.histograms = new Map();
+  }
+
+  /**
+   * Request has started.
+   */
+
+  begin() {
+    this.inFlight += 1;
+  }
+
+  /**
+   * Request is no longer in progress, matches every `begin`.
+   */
+
+  end() {
+    if (this.inFlight > 0)
+      this.inFlight -= 1;
+  }
+
+  /**
+   * Record the finished request (successfully or not).
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   */
+
+  finish(req, meta) {
+    const method = req.method;
+    const route = this.getRoute(method, meta.route ?? req.pathname);
+    const status = String(meta.statusCode);
+    const ckey = method + ' ' + route + ' ' + status;
+    const hkey = method + ' ' + route;
+
+    let counter = this.counters.get(ckey);
+
+    if (!counter) {
+      counter = { method, route, status, count: 0 };
+      this.counters.set(ckey, counter);
+    }
+
+    counter.count += 1;
+
+    let hist = this.histograms.get(hkey);
+
+    if (!hist) {
+      hist = { method, route, histogram: new Histogram() };
+      this.histograms.set(hkey, hist);
+    }
+
+    hist.histogram.record(Number(meta.diff) / 1e6);
+  }
+
+  /**
+   * Get route label, grouping everything after maxRoutes.
+   * @param {String} method
+   * @param {String} route
+   * @returns {String}
+   */
+
+  getRoute(method, route) {
+    const key = method + ' ' + route;
+
+    if (this.routes.has(key))
+      return route;
+
+    if (this.routes.size >= this.maxRoutes)
+      return OTHER_ROUTES;
+
+    this.routes.add(key);
+    return route;
+  }
+
+  /**
+   * Render metrics in prometheus text exposition format.
+   * @returns {String}
+   */
+
+  toText() {
+    const logger = this.name;
+    const out = [];
+
+    out.push('# HELP bweb_requests_total Number of finished requests.');
+    out.push('# TYPE bweb_requests_total counter');
+
+    for (const {method, route, status, count} of this.counters.values()) {
+      const labels = formatLabels({ logger, method, route, status });
+      out.push(`bweb_requests_total${labels} ${count}`);
+    }
+
+    out.push('# HELP bweb_request_errors_total '
+      + 'Number of requests with error status code.');
+    out.push('# TYPE bweb_request_errors_total counter');
+
+    for (const {method, route, status, count} of this.counters.values()) {
+      if (Number(status) < 400)
+        continue;
+
+      const labels = formatLabels({ logger, method, route, status });
+      out.push(`bweb_request_errors_total${labels} ${count}`);
+    }
+
+    out.push('# HELP bweb_requests_in_flight Number of requests in progress.');
+    out.push('# TYPE bweb_requests_in_flight gauge');
+    out.push(`bweb_requests_in_flight${formatLabels({ logger })} `
+      + this.inFlight);
+
+    out.push('# HELP bweb_request_duration_seconds Request latency.');
+    out.push('# TYPE bweb_request_duration_seconds histogram');
+
+    for (const {method, route, histogram} of this.histograms.values()) {
+      const {bounds, counts} = histogram;
+      let total = 0;
+
+      for (let i = 0; i < bounds.length; i++) {
+        total += counts[i];
+
+        const le = String(bounds[i] / 1000);
+        const labels = formatLabels({ logger, method, route, le });
+        out.push(`bweb_request_duration_seconds_bucket${labels} ${total}`);
+      }
+
+      const labels = formatLabels({ logger, method, route });
+      const inf = formatLabels({ logger, method, route, le: '+Inf' });
+
+      out.push(`bweb_request_duration_seconds_bucket${inf} `
+        + histogram.count);
+      out.push(`bweb_request_duration_seconds_sum${labels} `
+        + histogram.sum / 1000);
+      out.push(`bweb_request_duration_seconds_count${labels} `
+        + histogram.count);
+    }
+
+    return out.join('\n') + '\n';
+  }
+}
+
+/**
+ * @param {Object} labels
+ * @returns {String}
+ */
+
+function formatLabels(labels) {
+  const items = [];
+
+  for (const [key, value] of Object.entries(labels))
+    items.push(`${key}="${escapeLabel(value)}"`);
+
+  return '{' + items.join(',') + '}';
+}
+
+/**
+ * @param {String} value
+ * @returns {String}
+ */
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+module.exports = RequestMetrics;
@@ -0,0 +1,490 @@
+/*!
+ * redact.js - Redact secrets from the logged request data.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const crypto = require('crypto');
+
+/**
+ * Value that replaces masked secrets.
+ * @const {String}
+ */
+
+const MASK = '*****';
+
+/**
+ * Size of the random HMAC key.
+ * @const {Number}
+ */
+
+const KEY_SIZE = 32;
+
+/**
+ * Redaction modes.
+ * @enum {String}
+ */
+
+const modes = {
+  MASK: 'mask',
+  HASH: 'hash'
+};
+
+/**
+ * Keys that are always treated as secrets (case insensitive).
+ * @const {String[]}
+ */
+
+const DEFAULT_KEYS = [
+  'token',
+  'passphrase',
+  'old',
+  'mnemonic',
+  'phrase',
+  'seed',
+  'privateKey',
+  'privkey',
+  'xprivkey'
+];
+
+/**
+ * Paths that are treated as secrets.
+ * @const {String[]}
+ */
+
+const DEFAULT_PATHS = [
+  // Master xprivkey on wallet creation.
+  'body.master',
+  // API key of the socket auth.
+  'args.auth.0',
+  // Wallet token of the socket join.
+  'args.join.1'
+];
+
+/**
+ * RPC Methods whose params and results are treated as secrets.
+ * @const {String[]}
+ */
+
+const DEFAULT_METHODS = [
+  'dumpprivkey',
+  'dumpwallet',
+  'importprivkey',
+  'importwallet',
+  'encryptwallet',
+  'walletpassphrase',
+  'walletpassphrasechange',
+  'signmessagewithprivkey'
+];
+
+/**
+ * Redact secrets from the objects before they get logged.
+ * Objects are never modified, redacted copies are returned instead.
+ *
+ * Rules:
+ *  - keys - key names anywhere in the object (case insensitive).
+ *  - paths - dotted paths starting with the section
+ *    (`params`, `query`, `body` or `response`), `*` matches any key.
+ *    e.g. `body.options.passphrase`, `response.*.privateKey`.
+ *    Socket call arguments are `args.<event>.<index>`, e.g. `args.auth.0`.
+ *  - values - regular expressions tested against string values.
+ *  - methods - JSON-RPC methods whose `params` and `result` are redacted.
+ *
+ * @alias module:logger.Redactor
+ * @property {Set<String>} keys
+ * @property {String[][]} paths
+ * @property {RegExp[]} values
+ * @property {Set<String>} methods
+ * @property {modes} mode
+ * @property {Buffer} key - HMAC key of the hash mode.
+ */
+
+class Redactor {
+  /**
+   * @param {Object} [options]
+   */
+
+  constructor(options) {
+    this.keys = new Set(DEFAULT_KEYS.map(k => k.toLowerCase()));
+    this.paths = DEFAULT_PATHS.map(parsePath);
+    this.values = [];
+    this.methods = new Set(DEFAULT_METHODS);
+    this.mode = modes.MASK;
+    this.key = crypto.randomBytes(KEY_SIZE);
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * Add rules from the options. Keys, paths and methods
+   * extend the default rules.
+   * @param {Object} options
+   * @param {String[]} [options.keys]
+   * @param {String[]} [options.paths]
+   * @param {String[]} [options.values]
+   * @param {String[]} [options.methods]
+   * @param {modes} [options.mode]
+   * @param {Buffer} [options.key]
+   * @returns {Redactor}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    if (options.keys != null) {
+      for (const key of checkList(options.keys))
+        this.keys.add(key.toLowerCase());
+    }
+
+    if (options.paths != null) {
+      for (const path of checkList(options.paths))
+        this.paths.push(parsePath(path));
+    }
+
+    if (options.values != null) {
+      for (const value of checkList(options.values))
+        this.values.push(parseRegExp(value));
+    }
+
+    if (options.methods != null) {
+      for (const method of checkList(options.methods))
+        this.methods.add(method);
+    }
+
+    if (options.mode != null) {
+      enforce(isMode(options.mode), 'Unknown redaction mode.');
+      this.mode = options.mode;
+    }
+
+    if (options.key != null) {
+      assert(Buffer.isBuffer(options.key) && options.key.length > 0);
+      this.key = options.key;
+    }
+
+    return this;
+  }
+
+  /**
+   * Replace all rules, the HMAC key is kept.
+   * @param {Object} json
+   * @returns {Redactor}
+   */
+
+  fromJSON(json) {
+    enforce(json && typeof json === 'object', 'Rules must be an object.');
+
+    const keys = checkList(json.keys);
+    const paths = checkList(json.paths).map(parsePath);
+    const values = checkList(json.values).map(parseRegExp);
+    const methods = checkList(json.methods);
+
+    enforce(isMode(json.mode), 'Unknown redaction mode.');
+
+    this.keys = new Set(keys.map(k => k.toLowerCase()));
+    this.paths = paths;
+    this.values = values;
+    this.methods = new Set(methods);
+    this.mode = json.mode;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      keys: [...this.keys],
+      paths: this.paths.map(p => p.join('.')),
+      values: this.values.map(re => re.source),
+      methods: [...this.methods],
+      mode: this.mode
+    };
+  }
+
+  /**
+   * Redact the request section (params, query or body).
+   * @param {Object} obj
+   * @param {String} section
+   * @returns {Object}
+   */
+
+  redact(obj, section) {
+    assert(typeof section === 'string');
+
+    if (section === 'body')
+      obj = this.redactRPC(obj, 'params');
+
+    return this.walk(obj, [section], null);
+  }
+
+  /**
+   * Redact arguments of the socket call.
+   * @param {String} event
+   * @param {Array} args
+   * @returns {Array}
+   */
+
+  redactArgs(event, args) {
+    assert(typeof event === 'string');
+
+    return this.walk(args, ['args', event], null);
+  }
+
+  /**
+   * Redact response body. Request body is used to find out
+   * whether it was a response for sensitive RPC call.
+   * @param {Object} body - request body.
+   * @param {Object} response
+   * @returns {Object}
+   */
+
+  redactResponse(body, response) {
+    if (response == null)
+      return response;
+
+    if (Array.isArray(body) && Array.isArray(response)) {
+      response = response.map((res, i) => {
+        if (!this.isSecretCall(body[i]))
+          return res;
+
+        return this.redactKey(res, 'result');
+      });
+    } else if (this.isSecretCall(body)) {
+      response = this.redactKey(response, 'result');
+    }
+
+    return this.walk(response, ['response'], null);
+  }
+
+  /**
+   * Redact params of the sensitive RPC calls.
+   * @private
+   * @param {Object} body
+   * @param {String} key
+   * @returns {Object}
+   */
+
+  redactRPC(body, key) {
+    if (Array.isArray(body)) {
+      return body.map((call) => {
+        if (!this.isSecretCall(call))
+          return call;
+
+        return this.redactKey(call, key);
+      });
+    }
+
+    if (!this.isSecretCall(body))
+      return body;
+
+    return this.redactKey(body, key);
+  }
+
+  /**
+   * @private
+   * @param {Object} call
+   * @returns {Boolean}
+   */
+
+  isSecretCall(call) {
+    if (!call || typeof call !== 'object')
+      return false;
+
+    return typeof call.method === 'string' && this.methods.has(call.method);
+  }
+
+  /**
+   * Shallow copy of the object with redacted key.
+   * @private
+   * @param {Object} obj
+   * @param {String} key
+   * @returns {Object}
+   */
+
+  redactKey(obj, key) {
+    if (!obj || typeof obj !== 'object' || obj[key] == null)
+      return obj;
+
+    const value = obj[key];
+
+    return {
+      ...obj,
+      [key]: Array.isArray(value)
+        ? value.map(v => this.replace(v))
+        : this.replace(value)
+    };
+  }
+
+  /**
+   * @private
+   * @param {*} value
+   * @param {String[]} path
+   * @param {String?} key
+   * @returns {*}
+   */
+
+  walk(value, path, key) {
+    if (key != null && this.isSecret(key, path))
+      return this.replace(value);
+
+    if (value == null)
+      return value;
+
+    if (typeof value === 'string') {
+      for (const re of this.values) {
+        if (re.test(value))
+          return this.replace(value);
+      }
+
+      return value;
+    }
+
+    if (typeof value !== 'object')
+      return value;
+
+    if (Buffer.isBuffer(value))
+      return value;
+
+    if (Array.isArray(value)) {
+      return value.map((v, i) => {
+        return this.walk(v, [...path, String(i)], String(i));
+      });
+    }
+
+    const out = {};
+
+    for (const [k, v] of Object.entries(value))
+      out[k] = this.walk(v, [...path, k], k);
+
+    return out;
+  }
+
+  /**
+   * @private
+   * @param {String} key
+   * @param {String[]} path
+   * @returns {Boolean}
+   */
+
+  isSecret(key, path) {
+    if (this.keys.has(key.toLowerCase()))
+      return true;
+
+    for (const rule of this.paths) {
+      if (matchPath(rule, path))
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace secret value. Hash mode uses HMAC-SHA256 with the
+   * random key of the node, so the values can only be correlated
+   * within the logs of the same node run.
+   * @private
+   * @param {*} value
+   * @returns {String}
+   */
+
+  replace(value) {
+    if (value == null)
+      return value;
+
+    if (this.mode === modes.MASK)
+      return MASK;
+
+    const data = typeof value === 'string' ? value : JSON.stringify(value);
+    const hash = crypto.createHmac('sha256', this.key)
+      .update(data)
+      .digest('hex');
+
+    return 'hmac:' + hash.slice(0, 32);
+  }
+}
+
+/**
+ * @param {String} path
+ * @returns {String[]}
+ */
+
+function parsePath(path) {
+  enforce(typeof path === 'string' && path.length > 0, 'Invalid path.');
+  return path.split('.');
+}
+
+/**
+ * @param {String} source
+ * @returns {RegExp}
+ */
+
+function parseRegExp(source) {
+  try {
+    return new RegExp(source);
+  } catch (e) {
+    throw badRequest(`Invalid value rule: ${source}.`);
+  }
+}
+
+/**
+ * @param {String[]} rule
+ * @param {String[]} path
+ * @returns {Boolean}
+ */
+
+function matchPath(rule, path) {
+  if (rule.length !== path.length)
+    return false;
+
+  for (let i = 0; i < rule.length; i++) {
+    if (rule[i] !== '*' && rule[i] !== path[i])
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * @param {String[]} list
+ * @returns {String[]}
+ */
+
+function checkList(list) {
+  enforce(Array.isArray(list), 'Rules must be an array.');
+
+  for (const item of list)
+    enforce(typeof item === 'string', 'Rule must be a string.');
+
+  return list;
+}
+
+function isMode(mode) {
+  return mode === modes.MASK || mode === modes.HASH;
+}
+
+/**
+ * Invalid rules can come from the request,
+ * so they are reported as bad requests.
+ * @param {*} value
+ * @param {String} msg
+ */
+
+function enforce(value, msg) {
+  if (!value)
+    throw badRequest(msg);
+}
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.statusCode = 400;
+  return err;
+}
+
+Redactor.MASK = MASK;
+Redactor.modes = modes;
+Redactor.DEFAULT_KEYS = DEFAULT_KEYS;
+Redactor.DEFAULT_PATHS = DEFAULT_PATHS;
+Redactor.DEFAULT_METHODS = DEFAULT_METHODS;
+module.exports = Redactor;
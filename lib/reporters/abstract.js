@@ -7,8 +7,14 @@
 
 const assert = require('bsert');
 const EventEmitter = require('events');
+const Validator = require('bval');
+const Redactor = require('../redact');
+const RouteFilter = require('../filter');
+const RotatingLogFile = require('../store/rotating-file');
 
 /** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../logger').SocketMetaData} SocketMetaData */
+/** @typedef {import('../logger').SocketCallMetaData} SocketCallMetaData */
 
 /**
  * @alias module:reporter.AbstractReporter
@@ -52,6 +58,155 @@ class AbstractReporter extends EventEmitter {
     return this;
   }
 
+  /**
+   * Reporter collected statistics, if any.
+   * @returns {Promise<Object?>}
+   */
+
+  async getStats() {
+    return null;
+  }
+
+  /**
+   * Search reporter logs.
+   * @param {Object} req
+   * @returns {Promise<Object?>} - null if search is not supported.
+   */
+
+  async search(req) {
+    return null;
+  }
+
+  /**
+   * Verify hash chain of the reporter logs.
+   * @returns {Promise<Object?>} - null if logs are not chained.
+   */
+
+  async verify() {
+    return null;
+  }
+
+  /**
+   * Does the request pass include/exclude filters.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Boolean}
+   */
+
+  filter(req, meta) {
+    return this.options.filter.match(req.method, req.pathname, meta.route);
+  }
+
+  /**
+   * @returns {Object}
+   */
+
+  getFilters() {
+    return this.options.filter.toJSON();
+  }
+
+  /**
+   * Read filters from `include` and `exclude` of the request.
+   * @param {Object} req
+   * @returns {RouteFilter?} - null if the request does not change them.
+   */
+
+  filtersFromReq(req) {
+    return this.options.filterFromReq(req);
+  }
+
+  /**
+   * @param {RouteFilter?} filter - null keeps the current filters.
+   * @returns {AbstractReporter}
+   */
+
+  setFilters(filter) {
+    if (filter)
+      this.options.filter = filter;
+
+    return this;
+  }
+
+  /**
+   * Should the request be logged. This is decided once
+   * when the request begins.
+   * @param {Object} req
+   * @returns {Boolean}
+   */
+
+  sample(req) {
+    const {sampleRate, sampleWrites} = this.options;
+
+    if (sampleRate >= 1)
+      return true;
+
+    if (sampleWrites && req.method !== 'GET')
+      return true;
+
+    return Math.random() < sampleRate;
+  }
+
+  /**
+   * Should the finished request be logged.
+   * Errors can be kept even if the request was not sampled,
+   * in that case there won't be begin entry for it.
+   * @param {FinishedMetaData} meta
+   * @param {Boolean} sampled - decision made by sample.
+   * @returns {Boolean}
+   */
+
+  sampleFinished(meta, sampled) {
+    if (sampled)
+      return true;
+
+    return this.options.sampleErrors && meta.statusCode >= 400;
+  }
+
+  /**
+   * @returns {Object}
+   */
+
+  getSampling() {
+    return this.options.sampleJSON();
+  }
+
+  /**
+   * Read sampling options from the `sample` object of the request.
+   * @param {Object} req
+   * @returns {Object?} - null if the request does not change them.
+   */
+
+  samplingFromReq(req) {
+    return this.options.sampleFromReq(req);
+  }
+
+  /**
+   * @param {Object?} sample - { rate, errors, writes },
+   * null keeps the current options.
+   * @returns {AbstractReporter}
+   */
+
+  setSampling(sample) {
+    if (!sample)
+      return this;
+
+    this.options.sampleRate = sample.rate;
+    this.options.sampleErrors = sample.errors;
+    this.options.sampleWrites = sample.writes;
+
+    return this;
+  }
+
+  /**
+   * Forward store events to the reporter.
+   * @param {RotatingLogFile} store
+   */
+
+  bindStore(store) {
+    store.on('error', e => this.emit('error', e));
+    store.on('prune', info => this.emit('prune', info));
+  }
+
   /**
    * @param {Object} req
    */
@@ -70,6 +225,48 @@ class AbstractReporter extends EventEmitter {
     ;
   }
 
+  /**
+   * @param {SocketMetaData} socket
+   */
+
+  async logSocketOpen(socket) {
+    ;
+  }
+
+  /**
+   * @param {SocketMetaData} socket
+   */
+
+  async logSocketClose(socket) {
+    ;
+  }
+
+  /**
+   * @param {SocketCallMetaData} call
+   */
+
+  async logSocketCall(call) {
+    ;
+  }
+
+  /**
+   * @param {SocketCallMetaData} call
+   */
+
+  async logSocketCallFinished(call) {
+    ;
+  }
+
+  /**
+   * Entry written by another reporter, e.g. name events.
+   * @param {String} source - id of the reporter.
+   * @param {Object} entry
+   */
+
+  async logEntry(source, entry) {
+    ;
+  }
+
   static id = 'abstract';
 
   /**
@@ -88,6 +285,11 @@ class AbstractReporter extends EventEmitter {
  * @property {Object} node
  * @property {Object} config
  * @property {Object} logger
+ * @property {Redactor} redactor - shared with the logger.
+ * @property {Number} sampleRate - 0 - 1, ratio of the requests to log.
+ * @property {Boolean} sampleErrors - always log requests that failed.
+ * @property {Boolean} sampleWrites - always log non GET requests.
+ * @property {RouteFilter} filter - include/exclude rules.
  */
 
 class ReporterOptions {
@@ -100,6 +302,11 @@ class ReporterOptions {
     this.node = null;
     this.config = null;
     this.logger = null;
+    this.redactor = null;
+    this.sampleRate = 1;
+    this.sampleErrors = true;
+    this.sampleWrites = true;
+    this.filter = new RouteFilter();
 
     if (options)
       this.fromOptions(options);
@@ -133,10 +340,89 @@ class ReporterOptions {
       this.config = options.config;
     }
 
+    if (options.redactor != null) {
+      assert(options.redactor instanceof Redactor);
+      this.redactor = options.redactor;
+    } else {
+      this.redactor = new Redactor();
+    }
+
+    if (options.sampleRate != null) {
+      assert(isRate(options.sampleRate), 'Sample rate must be 0 - 1.');
+      this.sampleRate = options.sampleRate;
+    }
+
+    if (options.sampleErrors != null) {
+      assert(typeof options.sampleErrors === 'boolean');
+      this.sampleErrors = options.sampleErrors;
+    }
+
+    if (options.sampleWrites != null) {
+      assert(typeof options.sampleWrites === 'boolean');
+      this.sampleWrites = options.sampleWrites;
+    }
+
+    if (options.include != null || options.exclude != null) {
+      this.filter.fromOptions({
+        include: options.include,
+        exclude: options.exclude
+      });
+    }
+
     assert(typeof this.config === 'object');
     assert(typeof this.logger === 'object');
   }
 
+  /**
+   * @param {Object} req
+   * @returns {RouteFilter?}
+   */
+
+  filterFromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const include = valid.array('include');
+    const exclude = valid.array('exclude');
+
+    if (include == null && exclude == null)
+      return null;
+
+    const current = this.filter.toJSON();
+
+    return new RouteFilter({
+      include: include ?? current.include,
+      exclude: exclude ?? current.exclude
+    });
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Object?} - { rate, errors, writes }
+   */
+
+  sampleFromReq(req) {
+    const valid = Validator.fromRequest(req);
+
+    if (!valid.has('sample'))
+      return null;
+
+    const sample = valid.child('sample');
+    const rate = sample.ufloat('rate', this.sampleRate);
+    const errors = sample.bool('errors', this.sampleErrors);
+    const writes = sample.bool('writes', this.sampleWrites);
+
+    enforce(isRate(rate), 'Sample rate must be 0 - 1.');
+
+    return { rate, errors, writes };
+  }
+
+  sampleJSON() {
+    return {
+      rate: this.sampleRate,
+      errors: this.sampleErrors,
+      writes: this.sampleWrites
+    };
+  }
+
   fromReq(req) {
     return this;
   }
@@ -150,5 +436,134 @@ class ReporterOptions {
   }
 }
 
+/**
+ * Options of the reporters that write to the rotating log file.
+ * @property {Function} Store
+ * @property {String} filePath
+ * @property {Number} fileMaxSize
+ * @property {Number} fileMaxFiles
+ * @property {Boolean} fileCompress
+ * @property {String?} fileRotate - hourly or daily.
+ * @property {Number} fileMaxAge - ms, 0 - no limit.
+ * @property {Number} fileMaxTotalSize - 0 - no limit.
+ * @property {Boolean} fileChain
+ */
+
+class FileStoreOptions extends ReporterOptions {
+  constructor(options) {
+    super();
+
+    this.Store = RotatingLogFile;
+    this.filePath = null;
+    this.fileMaxSize = 100 * (1 << 20); // 100 MiB
+    this.fileMaxFiles = 10;
+    this.fileCompress = false;
+    this.fileRotate = null;
+    this.fileMaxAge = 0;
+    this.fileMaxTotalSize = 0;
+    this.fileChain = false;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  /**
+   * @param {Object} options
+   * @returns {FileStoreOptions}
+   */
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    assert(typeof options.filePath === 'string');
+    this.filePath = options.filePath;
+
+    if (options.Store != null) {
+      assert(typeof options.Store === 'function');
+      this.Store = options.Store;
+    }
+
+    if (options.fileMaxSize != null) {
+      assert(Number.isSafeInteger(options.fileMaxSize));
+      this.fileMaxSize = options.fileMaxSize;
+    }
+
+    if (options.fileMaxFiles != null) {
+      assert(Number.isSafeInteger(options.fileMaxFiles));
+      this.fileMaxFiles = options.fileMaxFiles;
+    }
+
+    if (options.fileCompress != null) {
+      assert(typeof options.fileCompress === 'boolean');
+      this.fileCompress = options.fileCompress;
+    }
+
+    if (options.fileRotate != null) {
+      assert(typeof options.fileRotate === 'string');
+      this.fileRotate = options.fileRotate;
+    }
+
+    if (options.fileMaxAge != null) {
+      assert(Number.isSafeInteger(options.fileMaxAge));
+      this.fileMaxAge = options.fileMaxAge;
+    }
+
+    if (options.fileMaxTotalSize != null) {
+      assert(Number.isSafeInteger(options.fileMaxTotalSize));
+      this.fileMaxTotalSize = options.fileMaxTotalSize;
+    }
+
+    if (options.fileChain != null) {
+      assert(typeof options.fileChain === 'boolean');
+      this.fileChain = options.fileChain;
+    }
+
+    return this;
+  }
+
+  /**
+   * Options for the Store.
+   * @returns {Object}
+   */
+
+  storeOptions() {
+    return {
+      filename: this.filePath,
+      maxFileSize: this.fileMaxSize,
+      maxFiles: this.fileMaxFiles,
+      compress: this.fileCompress,
+      rotateInterval: this.fileRotate,
+      maxAge: this.fileMaxAge,
+      maxTotalSize: this.fileMaxTotalSize,
+      chain: this.fileChain
+    };
+  }
+}
+
+/**
+ * @param {Number} rate
+ * @returns {Boolean}
+ */
+
+function isRate(rate) {
+  return typeof rate === 'number' && rate >= 0 && rate <= 1;
+}
+
+/**
+ * Sampling options can come from the request,
+ * so they are reported as bad requests.
+ * @param {*} value
+ * @param {String} msg
+ */
+
+function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
 AbstractReporter.ReporterOptions = ReporterOptions;
+AbstractReporter.FileStoreOptions = FileStoreOptions;
 module.exports = AbstractReporter;
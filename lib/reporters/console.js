@@ -7,10 +7,13 @@
 'use strict';
 
 const util = require('../util');
+const rpc = require('../rpc');
 const AbstractReporter = require('./abstract');
 const {ReporterOptions} = AbstractReporter;
 
 /** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../logger').SocketMetaData} SocketMetaData */
+/** @typedef {import('../logger').SocketCallMetaData} SocketCallMetaData */
 
 /**
  * @alias module:reporter.ConsoleReporter
@@ -46,12 +49,65 @@ class ConsoleReporter extends AbstractReporter {
 
   async logRequestFinished(req, res, meta) {
     const time = util.formatTime(meta.diff, 'ms');
+    let pathname = req.pathname;
 
-    this.logger.debug('%s - %s - %s - %s',
+    if (meta.route && meta.route !== req.pathname)
+      pathname += ` (${meta.route})`;
+
+    if (rpc.isRPCRequest(req)) {
+      const methods = rpc.getCalls(req.body).map(call => call.method);
+
+      if (methods.length > 0)
+        pathname += ` [${methods.join(', ')}]`;
+    }
+
+    this.logger.debug('%s - %s - %s - %s - %s',
       time,
       meta.statusCode,
       req.method,
-      req.pathname
+      pathname,
+      meta.id
+    );
+  }
+
+  /**
+   * @param {SocketMetaData} socket
+   * @returns {Promise}
+   */
+
+  async logSocketOpen(socket) {
+    this.logger.debug('SOCKET - open - %s:%s - %s',
+      socket.host,
+      socket.port,
+      socket.id
+    );
+  }
+
+  /**
+   * @param {SocketMetaData} socket
+   * @returns {Promise}
+   */
+
+  async logSocketClose(socket) {
+    this.logger.debug('%s - SOCKET - close - %s:%s - %s',
+      util.formatTime(socket.diff, 's'),
+      socket.host,
+      socket.port,
+      socket.id
+    );
+  }
+
+  /**
+   * @param {SocketCallMetaData} call
+   * @returns {Promise}
+   */
+
+  async logSocketCallFinished(call) {
+    this.logger.debug('%s - %s - SOCKET - %s - %s',
+      util.formatTime(call.diff, 'ms'),
+      call.errored ? 'error' : 'ok',
+      call.event,
+      call.socket.id
     );
   }
 
@@ -7,13 +7,24 @@
 'use strict';
 
 const assert = require('assert');
-const {REQUEST_BEGIN, REQUEST_FINISH} = require('../common');
+const {
+  REQUEST_BEGIN,
+  REQUEST_FINISH,
+  SOCKET_OPEN,
+  SOCKET_CLOSE,
+  SOCKET_BEGIN,
+  SOCKET_FINISH
+} = require('../common');
 const AbstractReporter = require('./abstract');
-const {ReporterOptions} = AbstractReporter;
-const RotatingLogFile = require('../store/rotating-file');
+const {FileStoreOptions} = AbstractReporter;
+const {SearchQuery, search, listFiles} = require('../search');
+const {verifyChain} = require('../chain');
 const Validator = require('bval');
 
 /** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../logger').SocketMetaData} SocketMetaData */
+/** @typedef {import('../logger').SocketCallMetaData} SocketCallMetaData */
+/** @typedef {import('../redact')} Redactor */
 
 /**
  * @alias module:reporter.FileReporter
@@ -24,11 +35,9 @@ class FileReporter extends AbstractReporter {
     super();
 
     this.options = new FileReporterOptions(options);
-    this.store = new this.options.Store({
-      filename: this.options.filePath,
-      maxFileSize: this.options.fileMaxSize,
-      maxFiles: this.options.fileMaxFiles
-    });
+    this.store = new this.options.Store(this.options.storeOptions());
+
+    this.bindStore(this.store);
   }
 
   async open() {
@@ -39,6 +48,32 @@ class FileReporter extends AbstractReporter {
     await this.store.close();
   }
 
+  /**
+   * Search the active and rotated log files.
+   * @param {Object} req
+   * @returns {Promise<Object>}
+   */
+
+  async search(req) {
+    const query = new SearchQuery().fromReq(req);
+    return search(this.store, query);
+  }
+
+  /**
+   * Verify hash chain of the active and rotated log files.
+   * @returns {Promise<Object?>}
+   */
+
+  async verify() {
+    if (!this.store.chain)
+      return null;
+
+    const files = await listFiles(this.store);
+    const start = await this.store.getChainStart();
+
+    return verifyChain(files, start);
+  }
+
   /**
    * @returns {Object}
    */
@@ -72,9 +107,7 @@ class FileReporter extends AbstractReporter {
       request: {
         method: req.method,
         pathname: req.pathname,
-        params: filterObject(req.params, this.options.logParams),
-        query: filterObject(req.query, this.options.logParams),
-        body: filterObject(req.body, this.options.logParams),
+        ...this.filterRequest(req),
         ...meta.requestJSON()
       }
     };
@@ -98,29 +131,162 @@ class FileReporter extends AbstractReporter {
       request: {
         method: req.method,
         pathname: req.pathname,
-        params: filterObject(req.params, this.options.logParams),
-        query: filterObject(req.query, this.options.logParams),
-        body: filterObject(req.body, this.options.logParams)
+        route: meta.route ?? undefined,
+        ...this.filterRequest(req)
       },
-      response: meta.responseJSON(this.options.logResponse)
+      response: this.filterResponse(req, meta)
     };
 
     await this.store.writeJSONLine(requestObject);
   }
 
+  /**
+   * @param {SocketMetaData} socket
+   * @returns {Promise}
+   */
+
+  async logSocketOpen(socket) {
+    if (!this.options.logSockets)
+      return;
+
+    const ts = Date.now();
+
+    await this.store.writeJSONLine({
+      type: SOCKET_OPEN,
+      timestamp: ts,
+      date: new Date(ts),
+      socket: socket.toJSON()
+    });
+  }
+
+  /**
+   * @param {SocketMetaData} socket
+   * @returns {Promise}
+   */
+
+  async logSocketClose(socket) {
+    if (!this.options.logSockets)
+      return;
+
+    const ts = Date.now();
+
+    await this.store.writeJSONLine({
+      type: SOCKET_CLOSE,
+      timestamp: ts,
+      date: new Date(ts),
+      socket: socket.toJSON(),
+      ms: Number(socket.diff / 1000000n),
+      calls: socket.calls
+    });
+  }
+
+  /**
+   * @param {SocketCallMetaData} call
+   * @returns {Promise}
+   */
+
+  async logSocketCall(call) {
+    if (!this.options.logSockets)
+      return;
+
+    const ts = Date.now();
+
+    await this.store.writeJSONLine({
+      type: SOCKET_BEGIN,
+      timestamp: ts,
+      date: new Date(ts),
+      socket: call.socket.toJSON(),
+      request: {
+        ...call.requestJSON(),
+        args: this.filterArgs(call)
+      }
+    });
+  }
+
+  /**
+   * @param {SocketCallMetaData} call
+   * @returns {Promise}
+   */
+
+  async logSocketCallFinished(call) {
+    if (!this.options.logSockets)
+      return;
+
+    const ts = Date.now();
+
+    await this.store.writeJSONLine({
+      type: SOCKET_FINISH,
+      timestamp: ts,
+      date: new Date(ts),
+      socket: call.socket.toJSON(),
+      request: {
+        event: call.event
+      },
+      response: call.responseJSON()
+    });
+  }
+
+  /**
+   * Get redacted arguments of the socket call.
+   * @param {SocketCallMetaData} call
+   * @returns {Array?}
+   */
+
+  filterArgs(call) {
+    const {logParams, redactor} = this.options;
+
+    if (!logParams || call.args.length === 0)
+      return undefined;
+
+    return redactor.redactArgs(call.event, call.args);
+  }
+
+  /**
+   * Get redacted params, query and body of the request.
+   * @param {Object} req
+   * @returns {Object}
+   */
+
+  filterRequest(req) {
+    const {logParams, redactor} = this.options;
+
+    return {
+      params: filterObject(redactor, req.params, 'params', logParams),
+      query: filterObject(redactor, req.query, 'query', logParams),
+      body: filterObject(redactor, req.body, 'body', logParams)
+    };
+  }
+
+  /**
+   * Get response json with redacted body.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Object}
+   */
+
+  filterResponse(req, meta) {
+    const {logResponse, redactor} = this.options;
+    const response = meta.responseJSON(logResponse);
+
+    if (response.body !== undefined)
+      response.body = redactor.redactResponse(req.body, response.body);
+
+    if (response.error !== undefined)
+      response.error = redactor.redactResponse(req.body, response.error);
+
+    return response;
+  }
+
   static id = 'file';
 }
 
-class FileReporterOptions extends ReporterOptions {
+class FileReporterOptions extends FileStoreOptions {
   constructor(options) {
     super();
 
-    this.Store = RotatingLogFile;
-    this.filePath = null;
-    this.fileMaxSize = 100 * (1 << 20); // 100 MiB
-    this.fileMaxFiles = 10;
     this.logParams = true;
     this.logResponse = false;
+    this.logSockets = true;
 
     if (options)
       this.fromOptions(options);
@@ -129,26 +295,6 @@ class FileReporterOptions extends ReporterOptions {
   fromOptions(options) {
     super.fromOptions(options);
 
-    assert(typeof options.filePath === 'string');
-    this.filePath = options.filePath;
-
-    if (options.Store != null) {
-      assert(typeof options.Store === 'function');
-      this.Store = options.Store;
-    }
-
-    if (options.fileMaxSize != null) {
-      assert(typeof options.fileMaxSize === 'number');
-      assert(Number.isSafeInteger(options.fileMaxSize));
-      this.fileMaxSize = options.fileMaxSize;
-    }
-
-    if (options.fileMaxFiles != null) {
-      assert(typeof options.fileMaxFiles === 'number');
-      assert(Number.isSafeInteger(options.fileMaxSize));
-      this.fileMaxFiles = options.fileMaxFiles;
-    }
-
     if (options.logParams != null) {
       assert(typeof options.logParams === 'boolean');
       this.logParams = options.logParams;
@@ -159,6 +305,11 @@ class FileReporterOptions extends ReporterOptions {
       this.logResponse = options.logResponse;
     }
 
+    if (options.logSockets != null) {
+      assert(typeof options.logSockets === 'boolean');
+      this.logSockets = options.logSockets;
+    }
+
     return this;
   }
 
@@ -166,17 +317,31 @@ class FileReporterOptions extends ReporterOptions {
     const valid = Validator.fromRequest(req);
     const params = valid.bool('params', this.logParams);
     const response = valid.bool('response', this.logResponse);
-
-    return this.fromJSON({ params, response });
+    const sockets = valid.bool('sockets', this.logSockets);
+    const redact = valid.obj('redact');
+
+    return this.fromJSON({
+      params,
+      response,
+      sockets,
+      redact: redact ? { ...this.redactor.toJSON(), ...redact } : null
+    });
   }
 
   fromJSON(json) {
     assert(typeof json === 'object');
     assert(typeof json.params === 'boolean');
     assert(typeof json.response === 'boolean');
+    assert(typeof json.sockets === 'boolean');
+
+    // The redactor is shared between the reporters of the logger,
+    // so the rules apply to all of them.
+    if (json.redact != null)
+      this.redactor.fromJSON(json.redact);
 
     this.logParams = json.params;
     this.logResponse = json.response;
+    this.logSockets = json.sockets;
 
     return this;
   }
@@ -184,40 +349,30 @@ class FileReporterOptions extends ReporterOptions {
   toJSON() {
     return {
       params: this.logParams,
-      response: this.logResponse
+      response: this.logResponse,
+      sockets: this.logSockets,
+      redact: this.redactor.toJSON()
     };
   }
 }
 
 /**
  * Filter out important information.
+ * @param {Redactor} redactor
  * @param {Object} obj
+ * @param {String} section - params, query or body.
  * @param {Boolean} log
  * @returns {Object}
  */
 
-function filterObject(obj, log) {
-  if (!log)
+function filterObject(redactor, obj, section, log) {
+  if (!log || obj == null)
     return undefined;
 
-  const filtered = {};
-  let entries = 0;
-
-  for (const [k, v] of Object.entries(obj)) {
-    if (k === 'token' || k === 'passphrase') {
-      filtered[k] = '*****';
-      entries++;
-      continue;
-    }
-
-    filtered[k] = v;
-    entries++;
-  }
-
-  if (!entries)
+  if (typeof obj === 'object' && Object.keys(obj).length === 0)
     return undefined;
 
-  return filtered;
+  return redactor.redact(obj, section);
 }
 
 module.exports = FileReporter;
@@ -0,0 +1,245 @@
+/*!
+ * histogram.js - Per route latency histograms.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const Validator = require('bval');
+const AbstractReporter = require('./abstract');
+const {ReporterOptions} = AbstractReporter;
+const Histogram = require('../histogram');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+
+/**
+ * Key used when we run out of route slots.
+ * @const {String}
+ */
+
+const OTHER_ROUTES = '*';
+
+/**
+ * Collect latencies per method and route in memory.
+ * @alias module:reporter.HistogramReporter
+ * @property {Map<String, RouteStats>} routes
+ * @property {Number} since
+ */
+
+class HistogramReporter extends AbstractReporter {
+  /**
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super();
+
+    this.options = new HistogramReporterOptions(options);
+    this.routes = new Map();
+    this.since = Date.now();
+  }
+
+  async open() {
+    this.reset();
+  }
+
+  async close() {
+    this.routes.clear();
+  }
+
+  /**
+   * Reset all histograms.
+   */
+
+  reset() {
+    this.routes.clear();
+    this.since = Date.now();
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getOptions() {
+    return this.options.toJSON();
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Promise<HistogramReporter>}
+   */
+
+  async setOptions(req) {
+    const valid = Validator.fromRequest(req);
+
+    this.options.fromReq(req);
+
+    if (valid.bool('reset', false))
+      this.reset();
+
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    const routes = [];
+
+    for (const stats of this.routes.values())
+      routes.push(stats.toJSON());
+
+    routes.sort((a, b) => b.p99 - a.p99);
+
+    return {
+      since: this.since,
+      buckets: this.options.buckets,
+      routes
+    };
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    const stats = this.getRoute(req.method, meta.route ?? req.pathname);
+    const ms = Number(meta.diff) / 1e6;
+
+    stats.record(ms, meta.statusCode);
+  }
+
+  /**
+   * Get or create route stats.
+   * @param {String} method
+   * @param {String} route
+   * @returns {RouteStats}
+   */
+
+  getRoute(method, route) {
+    let key = method + ' ' + route;
+
+    if (!this.routes.has(key) && this.routes.size >= this.options.maxRoutes) {
+      method = OTHER_ROUTES;
+      route = OTHER_ROUTES;
+      key = OTHER_ROUTES;
+    }
+
+    let stats = this.routes.get(key);
+
+    if (!stats) {
+      stats = new RouteStats(method, route, this.options.buckets);
+      this.routes.set(key, stats);
+    }
+
+    return stats;
+  }
+
+  static id = 'histogram';
+}
+
+/**
+ * Latency stats for single method and route.
+ * @property {String} method
+ * @property {String} route
+ * @property {Number} errors
+ * @property {Histogram} histogram
+ */
+
+class RouteStats {
+  /**
+   * @param {String} method
+   * @param {String} route
+   * @param {Number[]} buckets
+   */
+
+  constructor(method, route, buckets) {
+    this.method = method;
+    this.route = route;
+    this.errors = 0;
+    this.histogram = new Histogram(buckets);
+  }
+
+  /**
+   * @param {Number} ms
+   * @param {Number} status
+   */
+
+  record(ms, status) {
+    this.histogram.record(ms);
+
+    if (status >= 400)
+      this.errors++;
+  }
+
+  toJSON() {
+    return {
+      method: this.method,
+      route: this.route,
+      errors: this.errors,
+      ...this.histogram.toJSON()
+    };
+  }
+}
+
+class HistogramReporterOptions extends ReporterOptions {
+  constructor(options) {
+    super();
+
+    this.buckets = Histogram.DEFAULT_BUCKETS;
+    this.maxRoutes = 500;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.buckets != null) {
+      assert(Array.isArray(options.buckets));
+      this.buckets = options.buckets;
+    }
+
+    if (options.maxRoutes != null) {
+      assert((options.maxRoutes >>> 0) === options.maxRoutes);
+      assert(options.maxRoutes > 0);
+      this.maxRoutes = options.maxRoutes;
+    }
+
+    return this;
+  }
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const maxRoutes = valid.u32('maxRoutes', this.maxRoutes);
+
+    return this.fromJSON({ maxRoutes });
+  }
+
+  fromJSON(json) {
+    assert(typeof json === 'object');
+    assert((json.maxRoutes >>> 0) === json.maxRoutes);
+    assert(json.maxRoutes > 0);
+
+    this.maxRoutes = json.maxRoutes;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      maxRoutes: this.maxRoutes
+    };
+  }
+}
+
+HistogramReporter.RouteStats = RouteStats;
+HistogramReporter.HistogramReporterOptions = HistogramReporterOptions;
+module.exports = HistogramReporter;
@@ -13,3 +13,9 @@ exports.AbstractReporter = require('./abstract');
 exports.FileReporter = require('./file');
 exports.ConsoleReporter = require('./console');
 exports.NameReporter = require('./names');
+exports.HistogramReporter = require('./histogram');
+exports.SlowReporter = require('./slow');
+exports.RPCReporter = require('./rpc');
+exports.SpendReporter = require('./spend');
+exports.SyslogReporter = require('./syslog');
+exports.WebhookReporter = require('./webhook');
@@ -8,15 +8,103 @@
 
 const assert = require('assert');
 const Validator = require('bval');
-const {REQUEST_BEGIN, REQUEST_FINISH} = require('../common');
+const {
+  REQUEST_BEGIN,
+  REQUEST_FINISH,
+  TX_CONFIRMED,
+  TX_DROPPED
+} = require('../common');
 const AbstractReporter = require('./abstract');
-const {ReporterOptions} = AbstractReporter;
-const RotatingLogFile = require('../store/rotating-file');
+const {FileStoreOptions} = AbstractReporter;
+const {SearchQuery, search, listFiles} = require('../search');
+const {verifyChain} = require('../chain');
+const rpc = require('../rpc');
+const {COIN, toValue, has} = require('../util');
 
 /** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
 
 /**
+ * Batch action types and their normalized name types.
+ * @const {Object}
+ */
+
+const BATCH_TYPES = {
+  OPEN: 'OPEN',
+  BID: 'BID',
+  REVEAL: 'REVEAL',
+  REDEEM: 'REDEEM',
+  UPDATE: 'UPDATE',
+  RENEW: 'RENEWAL',
+  RENEWAL: 'RENEWAL',
+  TRANSFER: 'TRANSFER',
+  CANCEL: 'CANCEL',
+  FINALIZE: 'FINALIZE',
+  REVOKE: 'REVOKE'
+};
+
+/**
+ * Batch RPC methods and whether they broadcast.
+ * @const {Object}
+ */
+
+const BATCH_METHODS = {
+  sendbatch: true,
+  createbatch: false
+};
+
+/**
+ * Positional params of the name RPC methods
+ * (send<type> and create<type>) by name type.
+ * @const {Object}
+ */
+
+const RPC_PARAMS = {
+  OPEN: ['name', 'account'],
+  BID: ['name', 'bid', 'lockup', 'account'],
+  REVEAL: ['name', 'account'],
+  REDEEM: ['name', 'account'],
+  UPDATE: ['name', 'data', 'account'],
+  RENEWAL: ['name', 'account'],
+  TRANSFER: ['name', 'address', 'account'],
+  CANCEL: ['name', 'account'],
+  FINALIZE: ['name', 'account'],
+  REVOKE: ['name', 'account']
+};
+
+/**
+ * Account used when request does not specify one.
+ * @const {String}
+ */
+
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Change branch of the wallet paths.
+ * @const {Number}
+ */
+
+const CHANGE_BRANCH = 1;
+
+/**
+ * Reasons for the dropped transactions.
+ * @enum {String}
+ */
+
+const dropReasons = {
+  // Double spent by another transaction.
+  CONFLICT: 'conflict',
+  // Removed from the wallet (e.g. evicted from the mempool or abandoned).
+  REMOVED: 'removed'
+};
+
+/**
+ * Log name requests. Broadcasted transactions are followed
+ * using wallet events, until they are confirmed or dropped.
+ * Written entries are emitted as `entry` for the other reporters.
  * @alias module:reporter.NameReporter
+ * @property {Map<String, TrackedEntry[]>} tracked - by tx hash.
+ * @property {WeakMap<FinishedMetaData, Object[]>} rpcCalls - name calls
+ * of the RPC requests, read when the request begins.
  */
 
 class NameReporter extends AbstractReporter {
@@ -24,21 +112,195 @@ class NameReporter extends AbstractReporter {
     super();
 
     this.options = new NameReporterOptions(options);
-    this.store = new this.options.Store({
-      filename: this.options.filePath,
-      maxFileSize: this.options.fileMaxSize,
-      maxFiles: this.options.fileMaxFiles
-    });
+    this.store = new this.options.Store(this.options.storeOptions());
+
+    this.tracked = new Map();
+    this.rpcCalls = new WeakMap();
+    this.listeners = null;
+
+    this.bindStore(this.store);
   }
 
   async open() {
     await this.store.open();
+
+    if (this.options.trackTX && this.options.wdb)
+      this.listen(this.options.wdb);
   }
 
   async close() {
+    this.unlisten();
+    this.tracked.clear();
     await this.store.close();
   }
 
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    return {
+      tracked: this.tracked.size
+    };
+  }
+
+  /**
+   * Listen for the transaction events of the wallet db.
+   * @param {Object} wdb
+   */
+
+  listen(wdb) {
+    const handle = (event, reason) => {
+      return (wallet, tx, details) => {
+        this.handleTX(event, reason, wallet, tx, details).catch((e) => {
+          this.emit('error', e);
+        });
+      };
+    };
+
+    const removed = handle(TX_DROPPED, dropReasons.REMOVED);
+
+    this.listeners = {
+      wdb,
+      events: {
+        'confirmed': handle(TX_CONFIRMED, null),
+        'conflict': handle(TX_DROPPED, dropReasons.CONFLICT),
+        // TXDB emits `remove tx` before `conflict` for the double
+        // spent transaction, let the conflict claim it first.
+        'remove tx': (wallet, tx, details) => {
+          setImmediate(removed, wallet, tx, details);
+        }
+      }
+    };
+
+    for (const [event, listener] of Object.entries(this.listeners.events))
+      wdb.on(event, listener);
+  }
+
+  unlisten() {
+    if (!this.listeners)
+      return;
+
+    const {wdb, events} = this.listeners;
+
+    for (const [event, listener] of Object.entries(events))
+      wdb.removeListener(event, listener);
+
+    this.listeners = null;
+  }
+
+  /**
+   * Start following transactions of the broadcasted entries.
+   * @param {NameEntry[]} entries
+   */
+
+  track(entries) {
+    for (const entry of entries) {
+      if (!entry.broadcast || !entry.txHash)
+        continue;
+
+      let list = this.tracked.get(entry.txHash);
+
+      if (!list) {
+        // Transactions that never get confirmed or dropped (e.g. the
+        // wallet was closed) would stay here forever, drop the oldest.
+        if (this.tracked.size >= this.options.maxTracked) {
+          const oldest = this.tracked.keys().next().value;
+          this.tracked.delete(oldest);
+        }
+
+        list = [];
+        this.tracked.set(entry.txHash, list);
+      }
+
+      list.push(entry.trackedJSON());
+    }
+  }
+
+  /**
+   * Log confirmed or dropped event for the tracked transaction.
+   * @param {String} type - TX_CONFIRMED or TX_DROPPED.
+   * @param {String?} reason - drop reason.
+   * @param {Object} wallet
+   * @param {Object} tx
+   * @param {Object} details
+   * @returns {Promise}
+   */
+
+  async handleTX(type, reason, wallet, tx, details) {
+    const hash = tx.hash().toString('hex');
+    const list = this.tracked.get(hash);
+
+    if (!list)
+      return;
+
+    this.tracked.delete(hash);
+
+    const ts = Date.now();
+    const event = {
+      txHash: hash,
+      reason: reason ?? undefined
+    };
+
+    if (type === TX_CONFIRMED) {
+      event.height = details ? details.height : null;
+      event.block = details ? toHex(details.block) : null;
+    }
+
+    for (const entry of list) {
+      await this.writeEntry({
+        type,
+        timestamp: ts,
+        date: new Date(ts),
+        request: { id: entry.id },
+        nameEvent: {
+          ...entry,
+          id: undefined,
+          // Wallet of the RPC requests is only known now.
+          wallet: entry.wallet ?? (wallet ? wallet.id : null),
+          ...event
+        }
+      });
+    }
+  }
+
+  /**
+   * Write the entry and pass it to the other reporters.
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+
+  async writeEntry(entry) {
+    await this.store.writeJSONLine(entry);
+    this.emit('entry', entry);
+  }
+
+  /**
+   * Search the active and rotated log files.
+   * @param {Object} req
+   * @returns {Promise<Object>}
+   */
+
+  async search(req) {
+    const query = new SearchQuery().fromReq(req);
+    return search(this.store, query);
+  }
+
+  /**
+   * Verify hash chain of the active and rotated log files.
+   * @returns {Promise<Object?>}
+   */
+
+  async verify() {
+    if (!this.store.chain)
+      return null;
+
+    const files = await listFiles(this.store);
+    const start = await this.store.getChainStart();
+
+    return verifyChain(files, start);
+  }
+
   /**
    * @param {Object} req
    * @param {FinishedMetaData} meta
@@ -52,7 +314,7 @@ class NameReporter extends AbstractReporter {
       return;
 
     for (const entry of entries)
-      await this.store.writeJSONLine(entry.requestJSON());
+      await this.writeEntry(entry.requestJSON());
   }
 
   /**
@@ -68,8 +330,13 @@ class NameReporter extends AbstractReporter {
     if (!entries)
       return;
 
+    await this.addTXDetails(req.wallet, entries);
+
     for (const entry of entries)
-      await this.store.writeJSONLine(entry.responseJSON());
+      await this.writeEntry(entry.responseJSON());
+
+    if (this.options.trackTX && !meta.errored && meta.statusCode < 400)
+      this.track(entries);
   }
 
   /**
@@ -85,6 +352,9 @@ class NameReporter extends AbstractReporter {
     if (req.method !== 'POST')
       return null;
 
+    if (rpc.isRPCRequest(req))
+      return this.rpcEntries(req, meta, logType);
+
     if (req.path.length !== 3)
       return null;
 
@@ -125,11 +395,11 @@ class NameReporter extends AbstractReporter {
 
   nameEntries(req, meta, wallet, type, logType) {
     if (type === 'auction')
-      return this.auctionRequest(req, meta, wallet, type);
+      return this.auctionRequest(req, meta, wallet, logType);
 
     const valid = Validator.fromRequest(req);
 
-    let txHash;
+    let tx;
     let extra;
     let name, broadcast;
 
@@ -147,33 +417,193 @@ class NameReporter extends AbstractReporter {
       extra = this.transferExtra(req);
 
     if (logType === REQUEST_FINISH)
-      txHash = meta.response?.hash;
+      tx = meta.response;
 
     const entry = new NameEntry({
       wallet,
+      ...this.walletContext(req),
       type: type.toUpperCase(),
       name,
       broadcast,
       meta,
       extra,
-      txHash
+      tx
     });
 
     return [entry];
   }
 
   /**
-   * Handle auction request.
+   * Handle name and batch wallet RPC calls (single and batched).
+   * Selected wallet of the RPC is not known.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @param {String} logType
+   * @returns {NameEntry[]}
+   */
+
+  rpcEntries(req, meta, logType) {
+    // RPC handlers modify the params (sendbatch shifts the type
+    // out of the actions), so they are read when the request begins.
+    let calls = this.rpcCalls.get(meta);
+
+    if (!calls) {
+      calls = rpcNameCalls(req.body);
+      this.rpcCalls.set(meta, calls);
+    }
+
+    const batched = rpc.isBatch(req.body);
+    const entries = [];
+
+    for (const {call, broadcast, action, actions} of calls) {
+      let tx;
+
+      if (logType === REQUEST_FINISH) {
+        const response = rpc.getResponse(meta.response, call);
+        tx = rpcTX(response?.result);
+      }
+
+      if (action) {
+        entries.push(new NameEntry({
+          wallet: null,
+          broadcast,
+          meta,
+          tx,
+          ...action
+        }));
+        continue;
+      }
+
+      const batchID = batched ? `${meta.id}:${call.index}` : meta.id;
+
+      for (let index = 0; index < actions.length; index++) {
+        entries.push(new NameEntry({
+          wallet: null,
+          broadcast,
+          meta,
+          tx,
+          batch: { id: batchID, index, size: actions.length },
+          ...actions[index]
+        }));
+      }
+    }
+
+    if (entries.length === 0)
+      return null;
+
+    return entries;
+  }
+
+  /**
+   * Handle auction request. It creates BID and REVEAL transactions
+   * in advance, only BID can be broadcasted (broadcastBid).
    * @param {Object} request
    * @param {FinishedMetaData} meta
    * @param {String} wallet
-   * @param {String} type
+   * @param {String} logType
    * @returns {NameEntry[]}
    */
 
-  auctionRequest(req, wallet) {
-    // TODO
-    return null;
+  auctionRequest(req, meta, wallet, logType) {
+    const valid = Validator.fromRequest(req);
+
+    let name, broadcastBid;
+
+    try {
+      name = valid.str('name');
+      broadcastBid = valid.bool('broadcastBid', false);
+    } catch (e) {
+      return null;
+    }
+
+    if (name == null)
+      return null;
+
+    const extra = this.bidExtra(req);
+    const context = this.walletContext(req);
+
+    let bidTX, revealTX;
+
+    if (logType === REQUEST_FINISH) {
+      bidTX = meta.response?.bid;
+      revealTX = meta.response?.reveal;
+    }
+
+    const bid = new NameEntry({
+      wallet,
+      ...context,
+      type: 'BID',
+      name,
+      broadcast: broadcastBid,
+      meta,
+      extra,
+      tx: bidTX
+    });
+
+    const reveal = new NameEntry({
+      wallet,
+      ...context,
+      type: 'REVEAL',
+      name,
+      broadcast: false,
+      meta,
+      extra,
+      tx: revealTX
+    });
+
+    return [bid, reveal];
+  }
+
+  /**
+   * Account (default account if not set) and watch-only flag
+   * of the wallet, the wallet is set by the wallet http hook.
+   * @param {Object} req
+   * @returns {Object} - { account, watchOnly }
+   */
+
+  walletContext(req) {
+    const valid = Validator.fromRequest(req);
+    let account;
+
+    try {
+      account = valid.str('account', DEFAULT_ACCOUNT);
+    } catch (e) {
+      account = null;
+    }
+
+    let watchOnly = null;
+
+    if (req.wallet && typeof req.wallet.watchOnly === 'boolean')
+      watchOnly = req.wallet.watchOnly;
+
+    return { account, watchOnly };
+  }
+
+  /**
+   * Add fee, number of inputs and change address of the created
+   * transactions to the entries.
+   * @param {Object?} wallet
+   * @param {NameEntry[]} entries
+   * @returns {Promise}
+   */
+
+  async addTXDetails(wallet, entries) {
+    const cache = new Map();
+
+    for (const entry of entries) {
+      if (!entry.tx || typeof entry.tx !== 'object')
+        continue;
+
+      const key = entry.txHash ?? entry.tx;
+      let details = cache.get(key);
+
+      if (!details) {
+        details = await txDetails(wallet, entry.tx);
+        cache.set(key, details);
+      }
+
+      entry.txDetails = details;
+    }
   }
 
   /**
@@ -219,14 +649,267 @@ class NameReporter extends AbstractReporter {
   static id = 'name';
 }
 
-class NameReporterOptions extends ReporterOptions {
+/**
+ * Parse name actions of the sendbatch/createbatch RPC call,
+ * other actions are skipped. Actions are `[type, ...args]`.
+ * @param {Array} actions
+ * @returns {Object[]}
+ */
+
+function batchActions(actions) {
+  const result = [];
+
+  for (const action of actions) {
+    const parsed = batchAction(action);
+
+    if (parsed)
+      result.push(parsed);
+  }
+
+  return result;
+}
+
+/**
+ * @param {Array} action
+ * @returns {Object?} - { type, name, extra }
+ */
+
+function batchAction(action) {
+  if (!Array.isArray(action))
+    return null;
+
+  const fields = positionalFields(action.slice(1));
+  let type = action[0];
+
+  if (typeof type !== 'string')
+    return null;
+
+  type = BATCH_TYPES[type.toUpperCase()];
+
+  if (!type)
+    return null;
+
+  // REVEAL and REDEEM without name apply to all names.
+  const name = typeof fields.name === 'string' ? fields.name : null;
+  let extra;
+
+  if (type === 'BID') {
+    extra = {
+      bid: toValue(fields.bid, COIN),
+      lockup: toValue(fields.lockup, COIN)
+    };
+  }
+
+  if (type === 'TRANSFER' && typeof fields.address === 'string')
+    extra = { address: fields.address };
+
+  return { type, name, extra };
+}
+
+/**
+ * Positional arguments of batch action.
+ * @param {Array} args
+ * @returns {Object}
+ */
+
+function positionalFields(args) {
+  return {
+    name: args[0],
+    bid: args[1],
+    lockup: args[2],
+    address: args[1]
+  };
+}
+
+/**
+ * Parse name and batch calls of the RPC request.
+ * @param {Object|Array} body
+ * @returns {Object[]} - { call, broadcast, action } for the name
+ * calls and { call, broadcast, actions } for the batch calls.
+ */
+
+function rpcNameCalls(body) {
+  const calls = [];
+
+  for (const call of rpc.getCalls(body)) {
+    if (has(BATCH_METHODS, call.method)) {
+      if (!Array.isArray(call.params[0]))
+        continue;
+
+      calls.push({
+        call,
+        broadcast: BATCH_METHODS[call.method],
+        actions: batchActions(call.params[0])
+      });
+      continue;
+    }
+
+    const method = rpcMethod(call.method);
+
+    if (!method)
+      continue;
+
+    calls.push({
+      call,
+      broadcast: method.broadcast,
+      action: rpcAction(method.type, call.params)
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Get name type of the RPC method.
+ * @param {String} method
+ * @returns {Object?} - { type, broadcast }
+ */
+
+function rpcMethod(method) {
+  const match = /^(send|create)([a-z]+)$/.exec(method);
+
+  if (!match)
+    return null;
+
+  const type = match[2].toUpperCase();
+
+  if (!has(RPC_PARAMS, type))
+    return null;
+
+  return {
+    type,
+    broadcast: match[1] === 'send'
+  };
+}
+
+/**
+ * Parse params of the name RPC call.
+ * @param {String} type
+ * @param {Array} params
+ * @returns {Object} - { type, name, account, extra }
+ */
+
+function rpcAction(type, params) {
+  const fields = {};
+
+  RPC_PARAMS[type].forEach((key, i) => {
+    fields[key] = params[i];
+  });
+
+  // REVEAL and REDEEM without name apply to all names.
+  const name = typeof fields.name === 'string' ? fields.name : null;
+  const account = typeof fields.account === 'string'
+    ? fields.account
+    : DEFAULT_ACCOUNT;
+
+  let extra;
+
+  if (type === 'BID') {
+    extra = {
+      bid: toValue(fields.bid, COIN),
+      lockup: toValue(fields.lockup, COIN)
+    };
+  }
+
+  if (type === 'TRANSFER' && typeof fields.address === 'string')
+    extra = { address: fields.address };
+
+  return { type, name, account, extra };
+}
+
+/**
+ * RPC methods return either transaction json or its hash.
+ * @param {*} result
+ * @returns {Object?}
+ */
+
+function rpcTX(result) {
+  if (typeof result === 'string')
+    return { hash: result };
+
+  if (result && typeof result === 'object')
+    return result;
+
+  return null;
+}
+
+/**
+ * @param {Buffer|String?} hash
+ * @returns {String?}
+ */
+
+function toHex(hash) {
+  if (Buffer.isBuffer(hash))
+    return hash.toString('hex');
+
+  return hash ?? null;
+}
+
+/**
+ * @typedef {Object} TXDetails
+ * @property {Number?} fee
+ * @property {Number?} inputs - number of inputs.
+ * @property {String?} change - change address.
+ */
+
+/**
+ * Get details of the sent transaction json. Fee is only in the json
+ * of transactions that were not broadcasted, otherwise it is taken
+ * from the wallet together with the change output (by its path).
+ * @param {Object?} wallet
+ * @param {Object} json - transaction json.
+ * @returns {Promise<TXDetails>}
+ */
+
+async function txDetails(wallet, json) {
+  const details = {
+    fee: typeof json.fee === 'number' ? json.fee : null,
+    inputs: Array.isArray(json.inputs) ? json.inputs.length : null,
+    change: null
+  };
+
+  if (!wallet || typeof json.hash !== 'string')
+    return details;
+
+  try {
+    const wtx = await wallet.getTX(Buffer.from(json.hash, 'hex'));
+
+    // Not broadcasted transactions are not in the wallet.
+    if (!wtx)
+      return details;
+
+    const info = await wallet.toDetails(wtx);
+
+    if (details.fee == null)
+      details.fee = info.fee;
+
+    for (const output of info.outputs) {
+      if (output.path && output.path.branch === CHANGE_BRANCH) {
+        details.change = output.address.toString(wallet.network);
+        break;
+      }
+    }
+  } catch (e) {
+    // Wallet may be closed or the tx removed, log what we have.
+    ;
+  }
+
+  return details;
+}
+
+/**
+ * @property {Object?} wdb - wallet db for the transaction events.
+ * @property {Boolean} trackTX - follow broadcasted transactions.
+ * @property {Number} maxTracked
+ */
+
+class NameReporterOptions extends FileStoreOptions {
   constructor(options) {
     super();
 
-    this.Store = RotatingLogFile;
-    this.filePath = null;
-    this.fileMaxSize = 100 * (1 << 20); // 100 MiB
-    this.fileMaxFiles = 10;
+    this.wdb = null;
+    this.trackTX = true;
+    this.maxTracked = 10000;
 
     if (options)
       this.fromOptions(options);
@@ -235,37 +918,61 @@ class NameReporterOptions extends ReporterOptions {
   fromOptions(options) {
     super.fromOptions(options);
 
-    assert(typeof options.filePath === 'string');
-    this.filePath = options.filePath;
+    // Wallet node or the wallet plugin.
+    if (this.node.wdb)
+      this.wdb = this.node.wdb;
 
-    if (options.Store != null) {
-      assert(typeof options.Store === 'function');
-      this.Store = options.Store;
+    if (options.wdb != null) {
+      assert(typeof options.wdb === 'object');
+      this.wdb = options.wdb;
     }
 
-    if (options.fileMaxSize != null) {
-      assert(typeof options.fileMaxSize === 'number');
-      assert(Number.isSafeInteger(options.fileMaxSize));
-      this.fileMaxSize = options.fileMaxSize;
+    if (options.trackTX != null) {
+      assert(typeof options.trackTX === 'boolean');
+      this.trackTX = options.trackTX;
     }
 
-    if (options.fileMaxFiles != null) {
-      assert(typeof options.fileMaxFiles === 'number');
-      assert(Number.isSafeInteger(options.fileMaxSize));
-      this.fileMaxFiles = options.fileMaxFiles;
+    if (options.maxTracked != null) {
+      assert((options.maxTracked >>> 0) === options.maxTracked);
+      assert(options.maxTracked > 0);
+      this.maxTracked = options.maxTracked;
     }
+
+    return this;
   }
 }
 
 /**
- * @property {String} wallet
+ * @typedef {Object} BatchInfo
+ * @property {String} id - unique per batch.
+ * @property {Number} index - action index within the batch.
+ * @property {Number} size - number of name actions in the batch.
+ */
+
+/**
+ * @typedef {Object} TrackedEntry
+ * @property {String} id - request id.
+ * @property {String?} wallet
+ * @property {String?} account
+ * @property {String} type
+ * @property {String?} name
+ * @property {BatchInfo?} batch
+ */
+
+/**
+ * @property {String?} wallet - null if not known (RPC).
+ * @property {String?} account - null if not known (RPC).
+ * @property {Boolean?} watchOnly - null if not known.
  * @property {String} type
- * @property {String} name
+ * @property {String?} name - null if action applies to all names.
  * @property {Boolean} broadcast
  * @property {FinishedMetaData?} meta
  * @property {Number} requestDate
  * @property {String} requestType
+ * @property {Object?} tx - sent transaction json.
  * @property {String?} txHash
+ * @property {TXDetails?} txDetails
+ * @property {BatchInfo?} batch
  */
 
 class NameEntry {
@@ -276,17 +983,23 @@ class NameEntry {
     this.broadcast = true;
 
     this.meta = null;
+    this.account = null;
+    this.watchOnly = null;
+
     this.extra = null;
+    this.tx = null;
     this.txHash = null;
+    this.txDetails = null;
+    this.batch = null;
 
     this.fromOptions(options);
   }
 
   fromOptions(options) {
     assert(typeof options === 'object');
-    assert(typeof options.wallet === 'string');
+    assert(options.wallet === null || typeof options.wallet === 'string');
     assert(typeof options.type === 'string');
-    assert(typeof options.name === 'string');
+    assert(options.name === null || typeof options.name === 'string');
     assert(typeof options.broadcast === 'boolean');
 
     assert(typeof options.meta === 'object');
@@ -298,13 +1011,46 @@ class NameEntry {
 
     this.meta = options.meta;
 
-    if (options.txHash != null) {
-      assert(typeof options.txHash === 'string');
-      this.txHash = options.txHash;
+    if (options.account != null) {
+      assert(typeof options.account === 'string');
+      this.account = options.account;
+    }
+
+    if (options.watchOnly != null) {
+      assert(typeof options.watchOnly === 'boolean');
+      this.watchOnly = options.watchOnly;
+    }
+
+    if (options.tx != null && typeof options.tx === 'object') {
+      this.tx = options.tx;
+
+      if (typeof options.tx.hash === 'string')
+        this.txHash = options.tx.hash;
     }
 
     if (options.extra != null)
       this.extra = options.extra;
+
+    if (options.batch != null) {
+      assert(typeof options.batch === 'object');
+      this.batch = options.batch;
+    }
+  }
+
+  /**
+   * Data of the entry needed for the transaction events.
+   * @returns {TrackedEntry}
+   */
+
+  trackedJSON() {
+    return {
+      id: this.meta.id,
+      wallet: this.wallet,
+      account: this.account ?? undefined,
+      type: this.type.toUpperCase(),
+      name: this.name,
+      batch: this.batch ?? undefined
+    };
   }
 
   requestJSON(ts = Date.now()) {
@@ -315,10 +1061,13 @@ class NameEntry {
       request: this.meta.requestJSON(),
       nameEvent: {
         wallet: this.wallet,
+        account: this.account ?? undefined,
+        watchOnly: this.watchOnly ?? undefined,
         type: this.type.toUpperCase(),
         name: this.name,
         broadcast: this.broadcast,
-        extra: this.extra ?? undefined
+        extra: this.extra ?? undefined,
+        batch: this.batch ?? undefined
       }
     };
   }
@@ -328,19 +1077,25 @@ class NameEntry {
       type: 'finish',
       timestamp: ts,
       date: new Date(ts),
+      request: this.meta.requestJSON(),
       response: this.meta.responseJSON(false),
       nameEvent: {
         wallet: this.wallet,
+        account: this.account ?? undefined,
+        watchOnly: this.watchOnly ?? undefined,
         type: this.type.toUpperCase(),
         name: this.name,
         broadcast: this.broadcast,
         txHash: this.txHash ?? undefined,
-        extra: this.extra ?? undefined
+        tx: this.txDetails ?? undefined,
+        extra: this.extra ?? undefined,
+        batch: this.batch ?? undefined
       }
     };
   }
 }
 
+NameReporter.dropReasons = dropReasons;
 NameReporter.NameEntry = NameEntry;
 NameReporter.NameReporterOptions = NameReporterOptions;
 module.exports = NameReporter;
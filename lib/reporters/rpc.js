@@ -0,0 +1,369 @@
+/*!
+ * rpc.js - JSON-RPC reporter.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Validator = require('bval');
+const {REQUEST_BEGIN, REQUEST_FINISH} = require('../common');
+const AbstractReporter = require('./abstract');
+const {FileStoreOptions} = AbstractReporter;
+const {SearchQuery, search} = require('../search');
+const Histogram = require('../histogram');
+const rpc = require('../rpc');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../rpc').RPCCall} RPCCall */
+
+/**
+ * Key used when we run out of method slots.
+ * @const {String}
+ */
+
+const OTHER_METHODS = '*';
+
+/**
+ * Log JSON-RPC calls (`POST /`) with their method names, ids and
+ * errors and collect latencies per method. Calls of the batch
+ * are recorded with the latency of the whole batch.
+ * @alias module:reporter.RPCReporter
+ * @property {Map<String, MethodStats>} methods
+ * @property {Number} since
+ */
+
+class RPCReporter extends AbstractReporter {
+  constructor(options) {
+    super();
+
+    this.options = new RPCReporterOptions(options);
+    this.store = new this.options.Store(this.options.storeOptions());
+
+    this.methods = new Map();
+    this.since = Date.now();
+
+    this.bindStore(this.store);
+  }
+
+  async open() {
+    this.reset();
+    await this.store.open();
+  }
+
+  async close() {
+    this.methods.clear();
+    await this.store.close();
+  }
+
+  /**
+   * Reset method stats.
+   */
+
+  reset() {
+    this.methods.clear();
+    this.since = Date.now();
+  }
+
+  /**
+   * Search the active and rotated log files.
+   * @param {Object} req
+   * @returns {Promise<Object>}
+   */
+
+  async search(req) {
+    const query = new SearchQuery().fromReq(req);
+    return search(this.store, query);
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getOptions() {
+    return this.options.toJSON();
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Promise<RPCReporter>}
+   */
+
+  async setOptions(req) {
+    const valid = Validator.fromRequest(req);
+
+    this.options.fromReq(req);
+
+    if (valid.bool('reset', false))
+      this.reset();
+
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    const methods = [];
+
+    for (const stats of this.methods.values())
+      methods.push(stats.toJSON());
+
+    methods.sort((a, b) => b.count - a.count);
+
+    return {
+      since: this.since,
+      methods
+    };
+  }
+
+  /**
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequest(req, meta) {
+    if (!rpc.isRPCRequest(req))
+      return;
+
+    const calls = rpc.getCalls(req.body);
+
+    if (calls.length === 0)
+      return;
+
+    const {logParams, redactor} = this.options;
+    const ts = Date.now();
+
+    await this.store.writeJSONLine({
+      type: REQUEST_BEGIN,
+      timestamp: ts,
+      date: new Date(ts),
+      request: {
+        method: req.method,
+        pathname: req.pathname,
+        ...meta.requestJSON()
+      },
+      batch: rpc.isBatch(req.body),
+      calls: calls.map((call) => {
+        const params = redactor.redact({
+          method: call.method,
+          params: call.params
+        }, 'body').params;
+
+        return {
+          method: call.method,
+          id: call.id ?? undefined,
+          params: logParams ? params : undefined
+        };
+      })
+    });
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    if (!rpc.isRPCRequest(req))
+      return;
+
+    const calls = rpc.getCalls(req.body);
+
+    if (calls.length === 0)
+      return;
+
+    const {redactor} = this.options;
+    const ms = Number(meta.diff) / 1e6;
+    const ts = Date.now();
+    const response = meta.responseJSON(false);
+    const results = [];
+
+    if (response.error !== undefined)
+      response.error = redactor.redactResponse(req.body, response.error);
+
+    for (const call of calls) {
+      const error = callError(meta, call);
+
+      this.getMethod(call.method).record(ms, error != null);
+
+      results.push({
+        method: call.method,
+        id: call.id ?? undefined,
+        error: error ?? undefined
+      });
+    }
+
+    await this.store.writeJSONLine({
+      type: REQUEST_FINISH,
+      timestamp: ts,
+      date: new Date(ts),
+      request: {
+        method: req.method,
+        pathname: req.pathname,
+        route: meta.route ?? undefined
+      },
+      response,
+      batch: rpc.isBatch(req.body),
+      calls: results
+    });
+  }
+
+  /**
+   * Get or create method stats.
+   * @param {String} method
+   * @returns {MethodStats}
+   */
+
+  getMethod(method) {
+    if (!this.methods.has(method)
+      && this.methods.size >= this.options.maxMethods) {
+      method = OTHER_METHODS;
+    }
+
+    let stats = this.methods.get(method);
+
+    if (!stats) {
+      stats = new MethodStats(method);
+      this.methods.set(method, stats);
+    }
+
+    return stats;
+  }
+
+  static id = 'rpc';
+}
+
+/**
+ * Get error of the call from the response.
+ * @param {FinishedMetaData} meta
+ * @param {RPCCall} call
+ * @returns {Object?} - { code, message }
+ */
+
+function callError(meta, call) {
+  // Request failed as a whole (e.g. invalid body).
+  if (meta.errored) {
+    const error = meta.errored.error || meta.errored;
+
+    return {
+      code: error.code ?? null,
+      message: error.message ?? null
+    };
+  }
+
+  const response = rpc.getResponse(meta.response, call);
+
+  if (!response || !response.error)
+    return null;
+
+  return {
+    code: response.error.code ?? null,
+    message: response.error.message ?? null
+  };
+}
+
+/**
+ * Latency and error stats for single RPC method.
+ * @property {String} method
+ * @property {Number} errors
+ * @property {Histogram} histogram
+ */
+
+class MethodStats {
+  /**
+   * @param {String} method
+   */
+
+  constructor(method) {
+    this.method = method;
+    this.errors = 0;
+    this.histogram = new Histogram();
+  }
+
+  /**
+   * @param {Number} ms
+   * @param {Boolean} failed
+   */
+
+  record(ms, failed) {
+    this.histogram.record(ms);
+
+    if (failed)
+      this.errors++;
+  }
+
+  toJSON() {
+    return {
+      method: this.method,
+      errors: this.errors,
+      ...this.histogram.toJSON()
+    };
+  }
+}
+
+/**
+ * @property {Boolean} logParams
+ * @property {Number} maxMethods
+ */
+
+class RPCReporterOptions extends FileStoreOptions {
+  constructor(options) {
+    super();
+
+    this.logParams = true;
+    this.maxMethods = 500;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.logParams != null) {
+      assert(typeof options.logParams === 'boolean');
+      this.logParams = options.logParams;
+    }
+
+    if (options.maxMethods != null) {
+      assert((options.maxMethods >>> 0) === options.maxMethods);
+      assert(options.maxMethods > 0);
+      this.maxMethods = options.maxMethods;
+    }
+
+    return this;
+  }
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const params = valid.bool('params', this.logParams);
+
+    return this.fromJSON({ params });
+  }
+
+  fromJSON(json) {
+    assert(typeof json === 'object');
+    assert(typeof json.params === 'boolean');
+
+    this.logParams = json.params;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      params: this.logParams,
+      maxMethods: this.maxMethods
+    };
+  }
+}
+
+RPCReporter.MethodStats = MethodStats;
+RPCReporter.RPCReporterOptions = RPCReporterOptions;
+module.exports = RPCReporter;
@@ -0,0 +1,354 @@
+/*!
+ * slow.js - Report slow and failed requests with all the details.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Validator = require('bval');
+const {REQUEST_FINISH} = require('../common');
+const AbstractReporter = require('./abstract');
+const {FileStoreOptions} = AbstractReporter;
+const {SearchQuery, search} = require('../search');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../redact')} Redactor */
+
+/**
+ * Reasons for the capture.
+ * @enum {String}
+ */
+
+const reasons = {
+  SLOW: 'slow',
+  STATUS: 'status'
+};
+
+/**
+ * Keep begin data of every request in memory and write
+ * full entry (request and response) only when the request
+ * took longer than the threshold or finished with the
+ * selected status.
+ * @alias module:reporter.SlowReporter
+ * @property {Map<String, PendingRequest>} pending
+ * @property {Number} captured
+ * @property {Number} dropped - pending requests evicted from memory.
+ */
+
+class SlowReporter extends AbstractReporter {
+  constructor(options) {
+    super();
+
+    this.options = new SlowReporterOptions(options);
+    this.store = new this.options.Store(this.options.storeOptions());
+
+    this.pending = new Map();
+    this.captured = 0;
+    this.dropped = 0;
+
+    this.bindStore(this.store);
+  }
+
+  async open() {
+    await this.store.open();
+  }
+
+  async close() {
+    this.pending.clear();
+    await this.store.close();
+  }
+
+  /**
+   * Search the active and rotated log files.
+   * @param {Object} req
+   * @returns {Promise<Object>}
+   */
+
+  async search(req) {
+    const query = new SearchQuery().fromReq(req);
+    return search(this.store, query);
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getOptions() {
+    return this.options.toJSON();
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Promise<SlowReporter>}
+   */
+
+  async setOptions(req) {
+    this.options.fromReq(req);
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    return {
+      pending: this.pending.size,
+      captured: this.captured,
+      dropped: this.dropped
+    };
+  }
+
+  /**
+   * Capture the request before the handler can change it.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequest(req, meta) {
+    // Request id can be set by the client, keep the first one.
+    if (this.pending.has(meta.id))
+      return;
+
+    // Requests that never finish (e.g. errors without meta)
+    // would stay here forever, drop the oldest ones.
+    while (this.pending.size >= this.options.maxPending) {
+      const oldest = this.pending.keys().next().value;
+      this.pending.delete(oldest);
+      this.dropped += 1;
+    }
+
+    const {redactor} = this.options;
+
+    this.pending.set(meta.id, {
+      meta,
+      timestamp: Date.now(),
+      params: redactObject(redactor, req.params, 'params'),
+      query: redactObject(redactor, req.query, 'query'),
+      body: redactObject(redactor, req.body, 'body')
+    });
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    const begin = this.takePending(meta);
+    const reason = this.getReason(meta);
+
+    if (!reason)
+      return;
+
+    const {redactor} = this.options;
+    const ts = Date.now();
+    const ms = Number(meta.diff / 1000000n);
+    const response = meta.responseJSON(true);
+
+    if (response.body !== undefined)
+      response.body = redactor.redactResponse(req.body, response.body);
+
+    if (response.error !== undefined)
+      response.error = redactor.redactResponse(req.body, response.error);
+
+    this.captured += 1;
+
+    await this.store.writeJSONLine({
+      type: REQUEST_FINISH,
+      timestamp: ts,
+      date: new Date(ts),
+      reason,
+      request: {
+        method: req.method,
+        pathname: req.pathname,
+        ...meta.requestJSON(),
+        timestamp: begin ? begin.timestamp : ts - ms,
+        params: begin ? begin.params
+          : redactObject(redactor, req.params, 'params'),
+        query: begin ? begin.query
+          : redactObject(redactor, req.query, 'query'),
+        body: begin ? begin.body
+          : redactObject(redactor, req.body, 'body')
+      },
+      response
+    });
+  }
+
+  /**
+   * Remove the request captured at begin.
+   * @param {FinishedMetaData} meta
+   * @returns {PendingRequest?} - null if the request was not captured
+   * (e.g. not sampled or dropped) or the id belongs to another request.
+   */
+
+  takePending(meta) {
+    const begin = this.pending.get(meta.id);
+
+    if (!begin || begin.meta !== meta)
+      return null;
+
+    this.pending.delete(meta.id);
+
+    return begin;
+  }
+
+  /**
+   * Why should we capture the request, if at all.
+   * @param {FinishedMetaData} meta
+   * @returns {reasons?}
+   */
+
+  getReason(meta) {
+    if (this.options.matchStatus(meta.statusCode))
+      return reasons.STATUS;
+
+    const ms = Number(meta.diff) / 1e6;
+
+    if (ms >= this.options.threshold)
+      return reasons.SLOW;
+
+    return null;
+  }
+
+  static id = 'slow';
+}
+
+/**
+ * @typedef {Object} PendingRequest
+ * @property {FinishedMetaData} meta
+ * @property {Number} timestamp
+ * @property {Object?} params - redacted.
+ * @property {Object?} query - redacted.
+ * @property {Object?} body - redacted.
+ */
+
+/**
+ * @property {Number} threshold - ms
+ * @property {String[]} statuses - status codes (`503`) or classes (`5xx`).
+ * @property {Number} maxPending
+ */
+
+class SlowReporterOptions extends FileStoreOptions {
+  constructor(options) {
+    super();
+
+    this.threshold = 1000;
+    this.statuses = ['4xx', '5xx'];
+    this.maxPending = 10000;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    if (options.threshold != null) {
+      assert(typeof options.threshold === 'number');
+      assert(options.threshold >= 0);
+      this.threshold = options.threshold;
+    }
+
+    if (options.statuses != null)
+      this.statuses = checkStatuses(options.statuses);
+
+    if (options.maxPending != null) {
+      assert((options.maxPending >>> 0) === options.maxPending);
+      assert(options.maxPending > 0);
+      this.maxPending = options.maxPending;
+    }
+
+    return this;
+  }
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const threshold = valid.ufloat('threshold', this.threshold);
+    const statuses = valid.array('statuses', this.statuses);
+
+    return this.fromJSON({
+      threshold,
+      statuses: statuses.map(String)
+    });
+  }
+
+  fromJSON(json) {
+    assert(typeof json === 'object');
+    assert(typeof json.threshold === 'number' && json.threshold >= 0);
+
+    this.statuses = checkStatuses(json.statuses);
+    this.threshold = json.threshold;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      threshold: this.threshold,
+      statuses: this.statuses
+    };
+  }
+
+  /**
+   * Is the status code in the status set.
+   * @param {Number} status
+   * @returns {Boolean}
+   */
+
+  matchStatus(status) {
+    const code = String(status);
+
+    for (const item of this.statuses) {
+      if (item === code)
+        return true;
+
+      if (item[1] === 'x' && item[0] === code[0] && code.length === 3)
+        return true;
+    }
+
+    return false;
+  }
+}
+
+/**
+ * @param {String[]} statuses
+ * @returns {String[]}
+ */
+
+function checkStatuses(statuses) {
+  assert(Array.isArray(statuses), 'Statuses must be an array.');
+
+  for (const status of statuses) {
+    assert(typeof status === 'string' && /^[1-5](\d\d|xx)$/.test(status),
+      'Status must be a status code or a class (e.g. 503 or 5xx).');
+  }
+
+  return statuses;
+}
+
+/**
+ * @param {Redactor} redactor
+ * @param {Object} obj
+ * @param {String} section
+ * @returns {Object}
+ */
+
+function redactObject(redactor, obj, section) {
+  if (obj == null)
+    return undefined;
+
+  if (typeof obj === 'object' && Object.keys(obj).length === 0)
+    return undefined;
+
+  return redactor.redact(obj, section);
+}
+
+SlowReporter.reasons = reasons;
+SlowReporter.SlowReporterOptions = SlowReporterOptions;
+module.exports = SlowReporter;
@@ -0,0 +1,579 @@
+/*!
+ * spend.js - Report wallet requests that move funds.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Validator = require('bval');
+const {REQUEST_BEGIN, REQUEST_FINISH} = require('../common');
+const AbstractReporter = require('./abstract');
+const {FileStoreOptions} = AbstractReporter;
+const {SearchQuery, search} = require('../search');
+const {COIN, toValue, has} = require('../util');
+const rpc = require('../rpc');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+/** @typedef {import('../rpc').RPCCall} RPCCall */
+
+/**
+ * Spend types by the wallet endpoint (`POST /wallet/:id/<endpoint>`).
+ * Abandon is `DELETE /wallet/:id/tx/:hash`.
+ * @const {Object}
+ */
+
+const HTTP_TYPES = {
+  send: 'SEND',
+  create: 'CREATE',
+  sign: 'SIGN',
+  zap: 'ZAP'
+};
+
+/**
+ * Wallet RPC methods with their spend type and positional params.
+ * @const {Object}
+ */
+
+const RPC_METHODS = {
+  sendtoaddress: {
+    type: 'SEND',
+    params: ['address', 'amount', 'comment', 'commentTo', 'subtractFee']
+  },
+  createsendtoaddress: {
+    type: 'CREATE',
+    params: ['address', 'amount', 'comment', 'commentTo', 'subtractFee']
+  },
+  sendfrom: {
+    type: 'SEND',
+    params: ['account', 'address', 'amount']
+  },
+  sendmany: {
+    type: 'SEND',
+    params: ['account', 'outputs', 'minconf', 'comment', 'subtractFee']
+  },
+  signrawtransaction: {
+    type: 'SIGN',
+    params: ['hex']
+  },
+  abandontransaction: {
+    type: 'ABANDON',
+    params: ['txid']
+  }
+};
+
+/**
+ * Log wallet requests that send, create, sign, zap or abandon
+ * transactions (HTTP and RPC) in their own file.
+ * @alias module:reporter.SpendReporter
+ */
+
+class SpendReporter extends AbstractReporter {
+  constructor(options) {
+    super();
+
+    this.options = new SpendReporterOptions(options);
+    this.store = new this.options.Store(this.options.storeOptions());
+
+    this.bindStore(this.store);
+  }
+
+  async open() {
+    await this.store.open();
+  }
+
+  async close() {
+    await this.store.close();
+  }
+
+  /**
+   * Search the active and rotated log files.
+   * @param {Object} req
+   * @returns {Promise<Object>}
+   */
+
+  async search(req) {
+    const query = new SearchQuery().fromReq(req);
+    return search(this.store, query);
+  }
+
+  /**
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequest(req, meta) {
+    const entries = this.spendEntriesFromRequest(req, meta, REQUEST_BEGIN);
+
+    if (!entries)
+      return;
+
+    for (const entry of entries)
+      await this.store.writeJSONLine(entry.requestJSON());
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    const entries = this.spendEntriesFromRequest(req, meta, REQUEST_FINISH);
+
+    if (!entries)
+      return;
+
+    for (const entry of entries)
+      await this.store.writeJSONLine(entry.responseJSON());
+  }
+
+  /**
+   * Extract spend related data.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @param {String} logType
+   * @returns {SpendEntry[]?}
+   */
+
+  spendEntriesFromRequest(req, meta, logType) {
+    if (req.method === 'POST' && rpc.isRPCRequest(req))
+      return this.rpcEntries(req, meta, logType);
+
+    const type = httpType(req);
+
+    if (!type)
+      return null;
+
+    const entry = this.httpEntry(req, meta, type);
+
+    if (!entry)
+      return null;
+
+    if (logType === REQUEST_FINISH)
+      entry.fromTX(meta.response);
+
+    return [entry];
+  }
+
+  /**
+   * Handle wallet HTTP request.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @param {String} type
+   * @returns {SpendEntry?}
+   */
+
+  httpEntry(req, meta, type) {
+    const valid = Validator.fromRequest(req);
+    const options = {
+      wallet: req.path[1],
+      type,
+      broadcast: type === 'SEND',
+      meta
+    };
+
+    try {
+      options.account = valid.str('account');
+
+      switch (type) {
+        case 'SEND':
+        case 'CREATE':
+          options.outputs = httpOutputs(valid.array('outputs', []));
+          options.rate = toValue(valid.get('rate'), 1);
+          options.maxFee = toValue(valid.get('maxFee'), 1);
+          options.subtractFee = valid.bool('subtractFee');
+          options.subtractIndex = valid.i32('subtractIndex');
+          break;
+        case 'ZAP':
+          options.age = valid.u32('age');
+          break;
+        case 'ABANDON':
+          options.txid = req.params.hash;
+          break;
+      }
+    } catch (e) {
+      return null;
+    }
+
+    if (req.wallet && typeof req.wallet.watchOnly === 'boolean')
+      options.watchOnly = req.wallet.watchOnly;
+
+    return new SpendEntry(options);
+  }
+
+  /**
+   * Handle spend wallet RPC calls (single and batched).
+   * Selected wallet of the RPC is not known.
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @param {String} logType
+   * @returns {SpendEntry[]?}
+   */
+
+  rpcEntries(req, meta, logType) {
+    const entries = [];
+
+    for (const call of rpc.getCalls(req.body)) {
+      if (!has(RPC_METHODS, call.method))
+        continue;
+
+      const entry = new SpendEntry({
+        wallet: null,
+        meta,
+        method: call.method,
+        ...rpcAction(call)
+      });
+
+      if (logType === REQUEST_FINISH)
+        entry.fromRPC(rpc.getResponse(meta.response, call));
+
+      entries.push(entry);
+    }
+
+    if (entries.length === 0)
+      return null;
+
+    return entries;
+  }
+
+  static id = 'spend';
+}
+
+/**
+ * @typedef {Object} SpendOutput
+ * @property {String?} address
+ * @property {Number?} value
+ */
+
+/**
+ * Outputs of the send and create requests.
+ * @param {Array} outputs
+ * @returns {SpendOutput[]}
+ */
+
+function httpOutputs(outputs) {
+  const result = [];
+
+  for (const output of outputs) {
+    if (!output || typeof output !== 'object')
+      continue;
+
+    result.push({
+      address: typeof output.address === 'string' ? output.address : null,
+      value: toValue(output.value, 1)
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Outputs of the transaction json.
+ * @param {Object} json
+ * @returns {SpendOutput[]?}
+ */
+
+function txOutputs(json) {
+  if (!Array.isArray(json.outputs))
+    return null;
+
+  return httpOutputs(json.outputs);
+}
+
+/**
+ * Get spend type of the wallet HTTP request.
+ * @param {Object} req
+ * @returns {String?}
+ */
+
+function httpType(req) {
+  const path = req.path;
+
+  if (path.length < 3 || path[0] !== 'wallet')
+    return null;
+
+  if (req.method === 'DELETE') {
+    if (path.length === 4 && path[2] === 'tx')
+      return 'ABANDON';
+
+    return null;
+  }
+
+  if (req.method !== 'POST' || path.length !== 3)
+    return null;
+
+  if (!has(HTTP_TYPES, path[2]))
+    return null;
+
+  return HTTP_TYPES[path[2]];
+}
+
+/**
+ * Parse params of the spend RPC call.
+ * @param {RPCCall} call
+ * @returns {Object}
+ */
+
+function rpcAction(call) {
+  const {type, params} = RPC_METHODS[call.method];
+  const fields = {};
+
+  params.forEach((key, i) => {
+    fields[key] = call.params[i];
+  });
+
+  const action = {
+    type,
+    broadcast: type === 'SEND'
+  };
+
+  if (call.method === 'sendfrom' || call.method === 'sendmany') {
+    // Empty account is the default account.
+    action.account = typeof fields.account === 'string'
+      ? (fields.account || 'default')
+      : null;
+  }
+
+  if (typeof fields.address === 'string') {
+    action.outputs = [{
+      address: fields.address,
+      value: toValue(fields.amount, COIN)
+    }];
+  }
+
+  if (fields.outputs && typeof fields.outputs === 'object') {
+    action.outputs = Object.entries(fields.outputs).map(([address, value]) => {
+      return {
+        address,
+        value: toValue(value, COIN)
+      };
+    });
+  }
+
+  if (typeof fields.subtractFee === 'boolean')
+    action.subtractFee = fields.subtractFee;
+
+  if (typeof fields.txid === 'string')
+    action.txid = fields.txid;
+
+  return action;
+}
+
+class SpendReporterOptions extends FileStoreOptions {}
+
+/**
+ * @property {String?} wallet - null if not known (RPC).
+ * @property {String?} account - null if not set (any account).
+ * @property {Boolean?} watchOnly - null if not known.
+ * @property {String} type - SEND, CREATE, SIGN, ZAP or ABANDON.
+ * @property {Boolean} broadcast
+ * @property {String?} method - RPC method.
+ * @property {FinishedMetaData} meta
+ * @property {SpendOutput[]?} outputs
+ * @property {Number?} rate - requested rate, or the rate of the tx.
+ * @property {Number?} maxFee
+ * @property {Boolean?} subtractFee
+ * @property {Number?} subtractIndex
+ * @property {Number?} age - zap age (seconds).
+ * @property {String?} txid
+ * @property {Number?} fee
+ * @property {Boolean?} complete - whether the tx is fully signed.
+ * @property {Object?} error - error of the RPC call.
+ */
+
+class SpendEntry {
+  constructor(options) {
+    this.wallet = null;
+    this.account = null;
+    this.watchOnly = null;
+    this.type = '';
+    this.broadcast = false;
+    this.method = null;
+    this.meta = null;
+
+    this.outputs = null;
+    this.rate = null;
+    this.maxFee = null;
+    this.subtractFee = null;
+    this.subtractIndex = null;
+    this.age = null;
+
+    this.txid = null;
+    this.fee = null;
+    this.complete = null;
+    this.error = null;
+
+    this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+    assert(options.wallet === null || typeof options.wallet === 'string');
+    assert(typeof options.type === 'string');
+    assert(typeof options.broadcast === 'boolean');
+    assert(typeof options.meta === 'object');
+
+    this.wallet = options.wallet;
+    this.type = options.type;
+    this.broadcast = options.broadcast;
+    this.meta = options.meta;
+
+    if (options.account != null) {
+      assert(typeof options.account === 'string');
+      this.account = options.account;
+    }
+
+    if (options.watchOnly != null) {
+      assert(typeof options.watchOnly === 'boolean');
+      this.watchOnly = options.watchOnly;
+    }
+
+    if (options.method != null) {
+      assert(typeof options.method === 'string');
+      this.method = options.method;
+    }
+
+    if (options.outputs != null) {
+      assert(Array.isArray(options.outputs));
+      this.outputs = options.outputs;
+    }
+
+    if (options.rate != null)
+      this.rate = options.rate;
+
+    if (options.maxFee != null)
+      this.maxFee = options.maxFee;
+
+    if (options.subtractFee != null) {
+      assert(typeof options.subtractFee === 'boolean');
+      this.subtractFee = options.subtractFee;
+    }
+
+    if (options.subtractIndex != null)
+      this.subtractIndex = options.subtractIndex;
+
+    if (options.age != null)
+      this.age = options.age;
+
+    if (options.txid != null) {
+      assert(typeof options.txid === 'string');
+      this.txid = options.txid;
+    }
+
+    return this;
+  }
+
+  /**
+   * Inject results from the transaction json.
+   * @param {Object?} json
+   * @returns {SpendEntry}
+   */
+
+  fromTX(json) {
+    if (!json || typeof json !== 'object')
+      return this;
+
+    if (typeof json.hash === 'string')
+      this.txid = json.hash;
+
+    if (typeof json.fee === 'number')
+      this.fee = json.fee;
+
+    if (this.rate == null && typeof json.rate === 'number')
+      this.rate = json.rate;
+
+    // Signed transactions don't have requested outputs.
+    if (this.outputs == null)
+      this.outputs = txOutputs(json);
+
+    return this;
+  }
+
+  /**
+   * Inject results from the RPC call response.
+   * @param {Object?} response - { result, error, id }
+   * @returns {SpendEntry}
+   */
+
+  fromRPC(response) {
+    if (!response)
+      return this;
+
+    if (response.error) {
+      this.error = {
+        code: response.error.code ?? null,
+        message: response.error.message ?? null
+      };
+      return this;
+    }
+
+    const {result} = response;
+
+    // send* methods return txid.
+    if (typeof result === 'string') {
+      this.txid = result;
+      return this;
+    }
+
+    if (!result || typeof result !== 'object')
+      return this;
+
+    // signrawtransaction returns hex and complete flag.
+    if (typeof result.complete === 'boolean')
+      this.complete = result.complete;
+
+    return this.fromTX(result);
+  }
+
+  toJSON() {
+    return {
+      wallet: this.wallet,
+      account: this.account,
+      watchOnly: this.watchOnly ?? undefined,
+      type: this.type,
+      broadcast: this.broadcast,
+      method: this.method ?? undefined,
+      outputs: this.outputs ?? undefined,
+      rate: this.rate ?? undefined,
+      maxFee: this.maxFee ?? undefined,
+      subtractFee: this.subtractFee ?? undefined,
+      subtractIndex: this.subtractIndex ?? undefined,
+      age: this.age ?? undefined
+    };
+  }
+
+  requestJSON(ts = Date.now()) {
+    return {
+      type: REQUEST_BEGIN,
+      timestamp: ts,
+      date: new Date(ts),
+      request: this.meta.requestJSON(),
+      spendEvent: this.toJSON()
+    };
+  }
+
+  responseJSON(ts = Date.now()) {
+    return {
+      type: REQUEST_FINISH,
+      timestamp: ts,
+      date: new Date(ts),
+      request: this.meta.requestJSON(),
+      response: this.meta.responseJSON(false),
+      spendEvent: {
+        ...this.toJSON(),
+        txid: this.txid ?? undefined,
+        fee: this.fee ?? undefined,
+        complete: this.complete ?? undefined,
+        error: this.error ?? undefined
+      }
+    };
+  }
+}
+
+SpendReporter.SpendEntry = SpendEntry;
+SpendReporter.SpendReporterOptions = SpendReporterOptions;
+module.exports = SpendReporter;
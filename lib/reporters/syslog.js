@@ -0,0 +1,264 @@
+/*!
+ * syslog.js - Syslog reporter.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const os = require('os');
+const Validator = require('bval');
+const {REQUEST_FINISH} = require('../common');
+const AbstractReporter = require('./abstract');
+const {ReporterOptions} = AbstractReporter;
+const SyslogClient = require('../store/syslog-client');
+const syslog = require('../syslog');
+const {has} = require('../util');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+
+/**
+ * Send finished requests to the syslog server as RFC 5424 messages.
+ * Severity comes from the status code class, request details are
+ * in the structured data.
+ * @alias module:reporter.SyslogReporter
+ * @property {SyslogClient} client
+ */
+
+class SyslogReporter extends AbstractReporter {
+  constructor(options) {
+    super();
+
+    this.options = new SyslogReporterOptions(options);
+    this.client = new this.options.Client({
+      transport: this.options.transport,
+      host: this.options.host,
+      port: this.options.port,
+      path: this.options.path,
+      maxBuffer: this.options.maxBuffer
+    });
+
+    this.bindStore(this.client);
+  }
+
+  async open() {
+    await this.client.open();
+  }
+
+  async close() {
+    await this.client.close();
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getOptions() {
+    return this.options.toJSON();
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Promise<SyslogReporter>}
+   */
+
+  async setOptions(req) {
+    this.options.fromReq(req);
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    return this.client.getStats();
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    const {facility, appName, sdID} = this.options;
+    const ms = Number(meta.diff) / 1e6;
+    const status = meta.statusCode;
+
+    this.client.send(syslog.formatMessage({
+      facility: syslog.facilities[facility],
+      severity: syslog.statusSeverity(status),
+      hostname: this.options.hostname,
+      appName,
+      procID: process.pid,
+      msgID: REQUEST_FINISH,
+      sdID,
+      params: {
+        id: meta.id,
+        method: req.method,
+        path: req.pathname,
+        route: meta.route,
+        status,
+        ms: ms.toFixed(3)
+      },
+      msg: `${req.method} ${req.pathname} ${status} ${ms.toFixed(3)}ms`
+    }));
+  }
+
+  static id = 'syslog';
+}
+
+/**
+ * @property {Function} Client
+ * @property {String} transport - udp, tcp or unix.
+ * @property {String} host
+ * @property {Number} port
+ * @property {String?} path - unix socket path.
+ * @property {Number} maxBuffer
+ * @property {String} facility - facility name, e.g. local0.
+ * @property {String} hostname
+ * @property {String} appName
+ * @property {String} sdID - structured data id.
+ */
+
+class SyslogReporterOptions extends ReporterOptions {
+  constructor(options) {
+    super();
+
+    this.Client = SyslogClient;
+    this.transport = 'udp';
+    this.host = '127.0.0.1';
+    this.port = 514;
+    this.path = null;
+    this.maxBuffer = 1000;
+    this.facility = 'local0';
+    this.hostname = os.hostname();
+    this.appName = null;
+    this.sdID = 'bweb@32473';
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    // Logger name by default, e.g. wallet-http.
+    this.appName = this.name;
+
+    if (options.Client != null) {
+      assert(typeof options.Client === 'function');
+      this.Client = options.Client;
+    }
+
+    if (options.transport != null) {
+      assert(typeof options.transport === 'string');
+      this.transport = options.transport;
+    }
+
+    if (options.host != null) {
+      assert(typeof options.host === 'string');
+      this.host = options.host;
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port);
+      this.port = options.port;
+    }
+
+    if (options.path != null) {
+      assert(typeof options.path === 'string');
+      this.path = options.path;
+    }
+
+    if (options.maxBuffer != null) {
+      assert((options.maxBuffer >>> 0) === options.maxBuffer);
+      this.maxBuffer = options.maxBuffer;
+    }
+
+    if (options.facility != null) {
+      assert(isFacility(options.facility), 'Unknown syslog facility.');
+      this.facility = options.facility;
+    }
+
+    if (options.hostname != null) {
+      assert(typeof options.hostname === 'string');
+      this.hostname = options.hostname;
+    }
+
+    if (options.appName != null) {
+      assert(typeof options.appName === 'string');
+      this.appName = options.appName;
+    }
+
+    if (options.sdID != null) {
+      assert(syslog.isSDName(options.sdID, 32),
+        'Invalid structured data id.');
+      this.sdID = options.sdID;
+    }
+
+    return this;
+  }
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const facility = valid.str('facility', this.facility);
+    const appName = valid.str('appName', this.appName);
+
+    return this.fromJSON({ facility, appName });
+  }
+
+  fromJSON(json) {
+    assert(typeof json === 'object');
+    enforce(isFacility(json.facility), 'Unknown syslog facility.');
+    enforce(typeof json.appName === 'string', 'App name must be a string.');
+
+    this.facility = json.facility;
+    this.appName = json.appName;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      transport: this.transport,
+      host: this.transport !== 'unix' ? this.host : undefined,
+      port: this.transport !== 'unix' ? this.port : undefined,
+      path: this.path ?? undefined,
+      facility: this.facility,
+      appName: this.appName,
+      sdID: this.sdID
+    };
+  }
+}
+
+/**
+ * @param {String} facility
+ * @returns {Boolean}
+ */
+
+function isFacility(facility) {
+  return typeof facility === 'string'
+    && has(syslog.facilities, facility);
+}
+
+/**
+ * Options can come from the request,
+ * so they are reported as bad requests.
+ * @param {*} value
+ * @param {String} msg
+ */
+
+function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+SyslogReporter.SyslogReporterOptions = SyslogReporterOptions;
+module.exports = SyslogReporter;
@@ -0,0 +1,638 @@
+/*!
+ * webhook.js - Push entries to the HTTP endpoint.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+const Validator = require('bval');
+const {REQUEST_BEGIN, REQUEST_FINISH} = require('../common');
+const AbstractReporter = require('./abstract');
+const {ReporterOptions} = AbstractReporter;
+const SpoolFile = require('../store/spool-file');
+
+/** @typedef {import('../logger').FinishedMetaData} FinishedMetaData */
+
+/**
+ * Events that can be sent.
+ * @enum {String}
+ */
+
+const events = {
+  BEGIN: REQUEST_BEGIN,
+  FINISH: REQUEST_FINISH,
+  // Entries of the name reporter.
+  NAME: 'name'
+};
+
+/**
+ * Content type of the batches.
+ * @const {String}
+ */
+
+const CONTENT_TYPE = 'application/x-ndjson';
+
+/**
+ * Buffer entries and POST them as NDJSON batches, when the batch is full
+ * or on interval. Failed batches go to the spool file and are retried with
+ * exponential backoff, new entries are spooled until the spool is sent,
+ * so the order is kept.
+ * @alias module:reporter.WebhookReporter
+ * @property {SpoolFile} spool
+ * @property {String[]} queue - JSON lines, including the batch being sent.
+ * @property {Promise?} flushing - delivery in progress.
+ * @property {Number} attempts - failed attempts in a row.
+ * @property {Number?} retryAt
+ */
+
+class WebhookReporter extends AbstractReporter {
+  constructor(options) {
+    super();
+
+    this.options = new WebhookReporterOptions(options);
+    this.spool = new SpoolFile({
+      filename: this.options.spoolPath,
+      maxSize: this.options.spoolMaxSize
+    });
+
+    this.queue = [];
+    this.closed = true;
+    this.flushing = null;
+    this.timer = null;
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.attempts = 0;
+
+    this.sent = 0;
+    this.batches = 0;
+    this.failures = 0;
+    this.dropped = 0;
+    this.lastError = null;
+  }
+
+  async open() {
+    await this.spool.open();
+
+    this.closed = false;
+    this.schedule();
+
+    // Send the entries left from the previous run.
+    if (this.spool.size > 0)
+      this.flush();
+  }
+
+  /**
+   * Stop the timers and try sending what's left,
+   * entries that could not be sent stay in the spool.
+   * @returns {Promise}
+   */
+
+  async close() {
+    this.closed = true;
+
+    if (this.timer != null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const backoff = this.retryTimer != null;
+
+    if (this.retryTimer != null) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.retryAt = null;
+    }
+
+    if (this.flushing)
+      await this.flushing;
+
+    await this.drain(backoff);
+    await this.spool.close();
+  }
+
+  /**
+   * Send or spool the queued entries on close.
+   * @private
+   * @param {Boolean} backoff - endpoint was failing.
+   * @returns {Promise}
+   */
+
+  async drain(backoff) {
+    if (this.queue.length === 0)
+      return;
+
+    if (backoff || this.attempts > 0 || this.spool.size > 0) {
+      await this.spoolQueue();
+      return;
+    }
+
+    const lines = this.queue.slice();
+
+    try {
+      await this.post(lines);
+      this.queue = [];
+      this.succeed(lines.length);
+    } catch (e) {
+      this.fail(e);
+      await this.spoolQueue();
+    }
+  }
+
+  /**
+   * (Re)start the flush interval.
+   * @private
+   */
+
+  schedule() {
+    if (this.timer != null)
+      clearInterval(this.timer);
+
+    this.timer = setInterval(() => this.flush(), this.options.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getOptions() {
+    return this.options.toJSON();
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Promise<WebhookReporter>}
+   */
+
+  async setOptions(req) {
+    this.options.fromReq(req);
+
+    if (!this.closed)
+      this.schedule();
+
+    return this;
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+
+  async getStats() {
+    return {
+      queued: this.queue.length,
+      spooled: this.spool.size,
+      sent: this.sent,
+      batches: this.batches,
+      failures: this.failures,
+      dropped: this.dropped,
+      lastError: this.lastError,
+      retryAt: this.retryAt
+    };
+  }
+
+  /**
+   * @param {Object} req
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequest(req, meta) {
+    if (!this.options.events.includes(events.BEGIN))
+      return;
+
+    const ts = Date.now();
+
+    this.push({
+      type: REQUEST_BEGIN,
+      timestamp: ts,
+      date: new Date(ts),
+      logger: this.options.name,
+      request: {
+        method: req.method,
+        pathname: req.pathname,
+        ...meta.requestJSON()
+      }
+    });
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {FinishedMetaData} meta
+   * @returns {Promise}
+   */
+
+  async logRequestFinished(req, res, meta) {
+    if (!this.options.events.includes(events.FINISH))
+      return;
+
+    const ts = Date.now();
+
+    this.push({
+      type: REQUEST_FINISH,
+      timestamp: ts,
+      date: new Date(ts),
+      logger: this.options.name,
+      request: {
+        method: req.method,
+        pathname: req.pathname,
+        route: meta.route ?? undefined
+      },
+      response: meta.responseJSON(false)
+    });
+  }
+
+  /**
+   * @param {String} source - id of the reporter.
+   * @param {Object} entry
+   * @returns {Promise}
+   */
+
+  async logEntry(source, entry) {
+    if (source !== 'name' || !this.options.events.includes(events.NAME))
+      return;
+
+    this.push({
+      ...entry,
+      logger: this.options.name
+    });
+  }
+
+  /**
+   * Queue the entry, full batch is sent right away.
+   * @private
+   * @param {Object} json
+   */
+
+  push(json) {
+    if (this.closed)
+      return;
+
+    if (this.queue.length >= this.options.maxQueue) {
+      this.dropped += 1;
+      return;
+    }
+
+    this.queue.push(JSON.stringify(json));
+
+    if (this.queue.length >= this.options.batchSize)
+      this.flush();
+  }
+
+  /**
+   * Send spooled and queued entries, one delivery at a time.
+   * @returns {Promise}
+   */
+
+  flush() {
+    if (this.flushing)
+      return this.flushing;
+
+    this.flushing = this.deliver().catch((e) => {
+      this.lastError = e.message;
+
+      if (!this.closed)
+        this.emit('error', e);
+    }).finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * @private
+   * @returns {Promise}
+   */
+
+  async deliver() {
+    const {batchSize} = this.options;
+
+    while (!this.closed) {
+      // Endpoint is down, keep entries on disk until the retry.
+      if (this.retryTimer != null) {
+        await this.spoolQueue();
+        return;
+      }
+
+      const spooled = this.spool.size > 0;
+      const lines = spooled
+        ? await this.spool.read(batchSize)
+        : this.queue.slice(0, batchSize);
+
+      if (lines.length === 0)
+        return;
+
+      try {
+        await this.post(lines);
+      } catch (e) {
+        this.fail(e);
+        continue;
+      }
+
+      if (spooled)
+        await this.spool.remove(lines.length);
+      else
+        this.queue.splice(0, lines.length);
+
+      this.succeed(lines.length);
+    }
+  }
+
+  /**
+   * Move queued entries to the spool.
+   * @private
+   * @returns {Promise}
+   */
+
+  async spoolQueue() {
+    const lines = this.queue.splice(0);
+    const count = await this.spool.append(lines);
+
+    // Spool is full, newest entries are dropped.
+    this.dropped += lines.length - count;
+  }
+
+  /**
+   * @private
+   * @param {Number} count
+   */
+
+  succeed(count) {
+    this.sent += count;
+    this.batches += 1;
+    this.attempts = 0;
+  }
+
+  /**
+   * Schedule the retry, error is emitted only for the first
+   * failure in a row.
+   * @private
+   * @param {Error} err
+   */
+
+  fail(err) {
+    this.failures += 1;
+    this.attempts += 1;
+    this.lastError = err.message;
+
+    // Nobody listens after close.
+    if (this.closed)
+      return;
+
+    if (this.attempts === 1)
+      this.emit('error', err);
+
+    const {minBackoff, maxBackoff} = this.options;
+    const delay = Math.min(minBackoff * 2 ** (this.attempts - 1), maxBackoff);
+
+    this.retryAt = Date.now() + delay;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retryAt = null;
+      this.flush();
+    }, delay);
+
+    this.retryTimer.unref();
+  }
+
+  /**
+   * POST the batch.
+   * @private
+   * @param {String[]} lines
+   * @returns {Promise}
+   */
+
+  post(lines) {
+    const {url, headers, timeout} = this.options;
+    const body = lines.join('\n') + '\n';
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method: 'POST',
+        timeout,
+        headers: {
+          ...headers,
+          'Content-Type': CONTENT_TYPE,
+          'Content-Length': Buffer.byteLength(body, 'utf8')
+        }
+      }, (res) => {
+        res.resume();
+        res.once('error', reject);
+        res.once('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+            return;
+          }
+
+          reject(new Error(`Webhook responded with ${res.statusCode}.`));
+        });
+      });
+
+      req.once('timeout', () => {
+        req.destroy(new Error('Webhook request timed out.'));
+      });
+
+      req.once('error', reject);
+      req.end(body);
+    });
+  }
+
+  static id = 'webhook';
+}
+
+/**
+ * @property {URL} url
+ * @property {String[]} events - begin, finish and/or name.
+ * @property {Object} headers - additional request headers.
+ * @property {Number} batchSize - maximum number of entries per request.
+ * @property {Number} interval - flush interval in ms.
+ * @property {Number} timeout - request timeout in ms.
+ * @property {Number} minBackoff - first retry delay in ms.
+ * @property {Number} maxBackoff - maximum retry delay in ms.
+ * @property {Number} maxQueue - maximum number of entries in memory.
+ * @property {String} spoolPath
+ * @property {Number} spoolMaxSize
+ */
+
+class WebhookReporterOptions extends ReporterOptions {
+  constructor(options) {
+    super();
+
+    this.url = null;
+    this.events = [events.NAME];
+    this.headers = {};
+    this.batchSize = 100;
+    this.interval = 5000;
+    this.timeout = 10000;
+    this.minBackoff = 1000;
+    this.maxBackoff = 60000;
+    this.maxQueue = 10000;
+    this.spoolPath = null;
+    this.spoolMaxSize = 10 * (1 << 20); // 10 MiB
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    super.fromOptions(options);
+
+    this.url = parseURL(options.url);
+
+    assert(typeof options.spoolPath === 'string');
+    this.spoolPath = options.spoolPath;
+
+    if (options.events != null) {
+      assert(isEvents(options.events), 'Unknown webhook events.');
+      this.events = options.events;
+    }
+
+    if (options.headers != null) {
+      assert(typeof options.headers === 'object');
+      this.headers = options.headers;
+    }
+
+    if (options.batchSize != null) {
+      assert((options.batchSize >>> 0) === options.batchSize);
+      assert(options.batchSize > 0);
+      this.batchSize = options.batchSize;
+    }
+
+    if (options.interval != null) {
+      assert((options.interval >>> 0) === options.interval);
+      assert(options.interval > 0);
+      this.interval = options.interval;
+    }
+
+    if (options.timeout != null) {
+      assert((options.timeout >>> 0) === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    if (options.minBackoff != null) {
+      assert((options.minBackoff >>> 0) === options.minBackoff);
+      assert(options.minBackoff > 0);
+      this.minBackoff = options.minBackoff;
+    }
+
+    if (options.maxBackoff != null) {
+      assert((options.maxBackoff >>> 0) === options.maxBackoff);
+      this.maxBackoff = options.maxBackoff;
+    }
+
+    if (options.maxQueue != null) {
+      assert((options.maxQueue >>> 0) === options.maxQueue);
+      this.maxQueue = options.maxQueue;
+    }
+
+    if (options.spoolMaxSize != null) {
+      assert(Number.isSafeInteger(options.spoolMaxSize));
+      this.spoolMaxSize = options.spoolMaxSize;
+    }
+
+    assert(this.maxBackoff >= this.minBackoff);
+
+    return this;
+  }
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const url = valid.str('url', this.url.href);
+    const events = valid.array('events', this.events);
+    const batchSize = valid.u32('batchSize', this.batchSize);
+    const interval = valid.u32('interval', this.interval);
+
+    return this.fromJSON({ url, events, batchSize, interval });
+  }
+
+  fromJSON(json) {
+    assert(typeof json === 'object');
+    enforce(isEvents(json.events), 'Unknown webhook events.');
+    enforce((json.batchSize >>> 0) === json.batchSize && json.batchSize > 0,
+      'Batch size must be a positive integer.');
+    enforce((json.interval >>> 0) === json.interval && json.interval > 0,
+      'Interval must be a positive integer.');
+
+    this.url = parseURL(json.url);
+    this.events = json.events;
+    this.batchSize = json.batchSize;
+    this.interval = json.interval;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      url: this.url.href,
+      events: this.events,
+      batchSize: this.batchSize,
+      interval: this.interval,
+      timeout: this.timeout,
+      maxBackoff: this.maxBackoff,
+      spoolMaxSize: this.spoolMaxSize,
+      // Values may hold credentials.
+      headers: Object.keys(this.headers)
+    };
+  }
+}
+
+/**
+ * @param {String} url
+ * @returns {URL}
+ */
+
+function parseURL(url) {
+  enforce(typeof url === 'string', 'Webhook url is required.');
+
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    enforce(false, 'Invalid webhook url.');
+  }
+
+  enforce(parsed.protocol === 'http:' || parsed.protocol === 'https:',
+    'Webhook url must be http or https.');
+
+  return parsed;
+}
+
+/**
+ * @param {String[]} list
+ * @returns {Boolean}
+ */
+
+function isEvents(list) {
+  if (!Array.isArray(list))
+    return false;
+
+  const known = Object.values(events);
+
+  return list.every(event => known.includes(event));
+}
+
+/**
+ * Options can come from the request,
+ * so they are reported as bad requests.
+ * @param {*} value
+ * @param {String} msg
+ */
+
+function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+WebhookReporter.events = events;
+WebhookReporter.WebhookReporterOptions = WebhookReporterOptions;
+module.exports = WebhookReporter;
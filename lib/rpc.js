@@ -0,0 +1,98 @@
+/*!
+ * rpc.js - JSON-RPC request and response parsing.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+/**
+ * Single call of the JSON-RPC request.
+ * @alias module:logger.RPCCall
+ * @property {Number} index - index in the batch (0 if not batched).
+ * @property {String} method
+ * @property {Array} params
+ * @property {*} id
+ */
+
+class RPCCall {
+  /**
+   * @param {Number} index
+   * @param {Object} json
+   */
+
+  constructor(index, json) {
+    this.index = index;
+    this.method = json.method;
+    this.params = Array.isArray(json.params) ? json.params : [];
+    this.id = json.id ?? null;
+  }
+}
+
+/**
+ * Is the request a JSON-RPC request. Both node and wallet
+ * servers accept JSON-RPC on `POST /`.
+ * @param {Object} req
+ * @returns {Boolean}
+ */
+
+function isRPCRequest(req) {
+  return req.method === 'POST' && req.pathname === '/';
+}
+
+/**
+ * Is the body a JSON-RPC batch.
+ * @param {Object|Array} body
+ * @returns {Boolean}
+ */
+
+function isBatch(body) {
+  return Array.isArray(body);
+}
+
+/**
+ * Get calls of the JSON-RPC request body, invalid calls are skipped.
+ * @param {Object|Array} body
+ * @returns {RPCCall[]}
+ */
+
+function getCalls(body) {
+  const items = isBatch(body) ? body : [body];
+  const calls = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    if (!item || typeof item !== 'object')
+      continue;
+
+    if (typeof item.method !== 'string')
+      continue;
+
+    calls.push(new RPCCall(i, item));
+  }
+
+  return calls;
+}
+
+/**
+ * Get response of the call.
+ * @param {Object|Array} response - response body.
+ * @param {RPCCall} call
+ * @returns {Object?} - { result, error, id }
+ */
+
+function getResponse(response, call) {
+  const item = isBatch(response) ? response[call.index] : response;
+
+  if (!item || typeof item !== 'object')
+    return null;
+
+  return item;
+}
+
+exports.RPCCall = RPCCall;
+exports.isRPCRequest = isRPCRequest;
+exports.isBatch = isBatch;
+exports.getCalls = getCalls;
+exports.getResponse = getResponse;
@@ -0,0 +1,509 @@
+/*!
+ * search.js - Search JSON lines logs.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const bfs = require('bfile');
+const Validator = require('bval');
+
+/** @typedef {import('./store/rotating-file')} RotatingLogFile */
+
+/**
+ * Default number of entries per page.
+ * @const {Number}
+ */
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Maximum number of entries per page.
+ * @const {Number}
+ */
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Search filters.
+ * @alias module:logger.SearchQuery
+ * @property {Number?} from - timestamp (ms), inclusive.
+ * @property {Number?} to - timestamp (ms), exclusive.
+ * @property {String?} id - request or socket id.
+ * @property {String?} type - entry type (begin, finish...)
+ * @property {String?} method
+ * @property {String?} pathname - pathname prefix.
+ * @property {Number?} status
+ * @property {Number?} minDuration - ms
+ * @property {String?} wallet - wallet id.
+ * @property {Number} limit
+ * @property {Cursor?} cursor
+ */
+
+class SearchQuery {
+  constructor(options) {
+    this.from = null;
+    this.to = null;
+    this.id = null;
+    this.type = null;
+    this.method = null;
+    this.pathname = null;
+    this.status = null;
+    this.minDuration = null;
+    this.wallet = null;
+    this.limit = DEFAULT_LIMIT;
+    this.cursor = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    for (const key of Object.keys(this)) {
+      if (options[key] != null)
+        this[key] = options[key];
+    }
+
+    if (this.limit < 1 || this.limit > MAX_LIMIT)
+      throw badRequest(`Limit must be between 1 and ${MAX_LIMIT}.`);
+
+    return this;
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {SearchQuery}
+   */
+
+  fromReq(req) {
+    const valid = Validator.fromRequest(req);
+    const cursor = valid.str('cursor');
+    const method = valid.str('method');
+
+    // Route param `id` is the reporter id.
+    const filters = Validator.fromRequest({
+      query: req.query,
+      params: {},
+      body: req.body
+    });
+
+    return this.fromOptions({
+      from: valid.u64('from'),
+      to: valid.u64('to'),
+      id: filters.str('id'),
+      type: valid.str('type'),
+      method: method ? method.toUpperCase() : null,
+      pathname: valid.str('pathname'),
+      status: valid.u32('status'),
+      minDuration: valid.ufloat('minDuration'),
+      wallet: valid.str('wallet'),
+      limit: valid.u32('limit'),
+      cursor: cursor ? Cursor.decode(cursor) : null
+    });
+  }
+
+  /**
+   * Does the entry match the filters.
+   * @param {Object} entry
+   * @returns {Boolean}
+   */
+
+  match(entry) {
+    if (!entry || typeof entry !== 'object')
+      return false;
+
+    const request = entry.request || {};
+    const response = entry.response || {};
+
+    if (this.from != null && !(entry.timestamp >= this.from))
+      return false;
+
+    if (this.to != null && !(entry.timestamp < this.to))
+      return false;
+
+    if (this.id != null && !matchID(entry, this.id))
+      return false;
+
+    if (this.type != null && entry.type !== this.type)
+      return false;
+
+    if (this.method != null && request.method !== this.method)
+      return false;
+
+    if (this.pathname != null) {
+      if (typeof request.pathname !== 'string')
+        return false;
+
+      if (!request.pathname.startsWith(this.pathname))
+        return false;
+    }
+
+    if (this.status != null && response.status !== this.status)
+      return false;
+
+    if (this.minDuration != null && !(response.ms >= this.minDuration))
+      return false;
+
+    if (this.wallet != null && getWallet(entry) !== this.wallet)
+      return false;
+
+    return true;
+  }
+
+  /**
+   * Can we skip the file that was last modified at mtime.
+   * @param {Number} mtime
+   * @returns {Boolean}
+   */
+
+  skipFile(mtime) {
+    return this.from != null && mtime < this.from;
+  }
+}
+
+/**
+ * Position in the logs to continue the search from.
+ * Files get renamed by rotation and compression, so the file
+ * is also identified by the hash of its first line.
+ * @property {String} file - file name.
+ * @property {Number} offset - byte offset (uncompressed).
+ * @property {String} hash - hash of the first line of the file.
+ */
+
+class Cursor {
+  /**
+   * @param {String} file
+   * @param {Number} offset
+   * @param {String} hash
+   */
+
+  constructor(file, offset, hash) {
+    assert(typeof file === 'string');
+    assert(Number.isSafeInteger(offset) && offset >= 0);
+    assert(typeof hash === 'string');
+
+    this.file = file;
+    this.offset = offset;
+    this.hash = hash;
+  }
+
+  /**
+   * @returns {String}
+   */
+
+  encode() {
+    const json = JSON.stringify({
+      f: this.file,
+      o: this.offset,
+      h: this.hash
+    });
+
+    return Buffer.from(json, 'utf8').toString('base64');
+  }
+
+  /**
+   * @param {String} str
+   * @returns {Cursor}
+   */
+
+  static decode(str) {
+    let json;
+
+    try {
+      json = JSON.parse(Buffer.from(str, 'base64').toString('utf8'));
+    } catch (e) {
+      throw badRequest('Invalid cursor.');
+    }
+
+    if (!json || typeof json.f !== 'string')
+      throw badRequest('Invalid cursor.');
+
+    if (path.basename(json.f) !== json.f)
+      throw badRequest('Invalid cursor.');
+
+    if (!Number.isSafeInteger(json.o) || json.o < 0)
+      throw badRequest('Invalid cursor.');
+
+    if (typeof json.h !== 'string')
+      throw badRequest('Invalid cursor.');
+
+    return new Cursor(json.f, json.o, json.h);
+  }
+}
+
+/**
+ * Search rotated files and the active file of the store, oldest first.
+ * Files are read line by line and reading stops once the page is full.
+ * @param {RotatingLogFile} store
+ * @param {SearchQuery} query
+ * @returns {Promise<Object>} - { entries, cursor }
+ */
+
+async function search(store, query) {
+  assert(query instanceof SearchQuery);
+
+  const files = await listFiles(store);
+  const entries = [];
+
+  let start = 0;
+  let offset = 0;
+
+  if (query.cursor) {
+    start = await findCursorFile(files, query.cursor);
+
+    if (start === -1)
+      throw badRequest('Cursor file does not exist anymore.');
+
+    offset = query.cursor.offset;
+  }
+
+  for (let i = start; i < files.length; i++) {
+    const file = files[i];
+
+    if (i !== start)
+      offset = 0;
+
+    if (query.skipFile(file.mtime))
+      continue;
+
+    const next = await searchFile(file, offset, query, entries);
+
+    if (next != null) {
+      const hash = await hashFirstLine(file);
+
+      return {
+        entries,
+        cursor: new Cursor(file.name, next, hash).encode()
+      };
+    }
+  }
+
+  return {
+    entries,
+    cursor: null
+  };
+}
+
+/**
+ * Find the file of the cursor. The file with the cursor name is checked
+ * first, then the rest newest first: the active file becomes the latest
+ * archive on rotation and archives get the extension on compression.
+ * @param {Object[]} files
+ * @param {Cursor} cursor
+ * @returns {Promise<Number>} - index of the file or -1.
+ */
+
+async function findCursorFile(files, cursor) {
+  const named = files.filter(f => f.name === cursor.file);
+  const rest = files.filter(f => f.name !== cursor.file).reverse();
+
+  for (const file of [...named, ...rest]) {
+    if (await hashFirstLine(file) === cursor.hash)
+      return files.indexOf(file);
+  }
+
+  return -1;
+}
+
+/**
+ * Hash of the first line of the file.
+ * @param {Object} file
+ * @returns {Promise<String>}
+ */
+
+async function hashFirstLine(file) {
+  let first = '';
+
+  for await (const line of readLines(file.file, file.compressed)) {
+    first = line;
+    break;
+  }
+
+  const hash = crypto.createHash('sha256').update(first, 'utf8').digest();
+
+  return hash.toString('hex', 0, 16);
+}
+
+/**
+ * Search a file, until the page is full.
+ * @param {Object} file
+ * @param {Number} offset
+ * @param {SearchQuery} query
+ * @param {Object[]} entries
+ * @returns {Promise<Number?>} - offset to continue from if page is full.
+ */
+
+async function searchFile(file, offset, query, entries) {
+  let position = offset;
+
+  for await (const line of readLines(file.file, file.compressed, offset)) {
+    position += Buffer.byteLength(line, 'utf8') + 1;
+
+    const entry = parseLine(line);
+
+    if (!query.match(entry))
+      continue;
+
+    entries.push(entry);
+
+    if (entries.length >= query.limit)
+      return position;
+  }
+
+  return null;
+}
+
+/**
+ * List files of the store: archives and the active file.
+ * @param {RotatingLogFile} store
+ * @returns {Promise<Object[]>}
+ */
+
+async function listFiles(store) {
+  const files = await store.listArchives();
+
+  let stat = null;
+
+  try {
+    stat = await bfs.stat(store.filename);
+  } catch (e) {
+    if (e.code !== 'ENOENT')
+      throw e;
+  }
+
+  if (stat) {
+    files.push({
+      name: path.basename(store.filename),
+      file: store.filename,
+      compressed: false,
+      size: stat.size,
+      mtime: stat.mtimeMs
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Read lines of the file, starting at offset (uncompressed).
+ * @param {String} file
+ * @param {Boolean} compressed
+ * @param {Number} [offset = 0]
+ * @returns {AsyncIterator<String>}
+ */
+
+async function *readLines(file, compressed, offset = 0) {
+  let input;
+
+  if (compressed) {
+    input = bfs.createReadStream(file).pipe(zlib.createGunzip());
+  } else {
+    input = bfs.createReadStream(file, { start: offset });
+    offset = 0;
+  }
+
+  const rl = readline.createInterface({
+    input,
+    crlfDelay: Infinity
+  });
+
+  try {
+    let skipped = 0;
+
+    for await (const line of rl) {
+      // Compressed files can't seek, skip lines up to the offset.
+      if (skipped < offset) {
+        skipped += Buffer.byteLength(line, 'utf8') + 1;
+        continue;
+      }
+
+      yield line;
+    }
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+}
+
+/**
+ * @param {String} line
+ * @returns {Object?}
+ */
+
+function parseLine(line) {
+  if (line.length === 0)
+    return null;
+
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    // Partially written or corrupted line.
+    return null;
+  }
+}
+
+/**
+ * Does request, response or socket of the entry have the id.
+ * @param {Object} entry
+ * @param {String} id
+ * @returns {Boolean}
+ */
+
+function matchID(entry, id) {
+  const request = entry.request || {};
+  const response = entry.response || {};
+  const socket = entry.socket || {};
+
+  return request.id === id || response.id === id || socket.id === id;
+}
+
+/**
+ * Get wallet id of the entry.
+ * @param {Object} entry
+ * @returns {String?}
+ */
+
+function getWallet(entry) {
+  if (entry.nameEvent && typeof entry.nameEvent.wallet === 'string')
+    return entry.nameEvent.wallet;
+
+  if (entry.spendEvent && typeof entry.spendEvent.wallet === 'string')
+    return entry.spendEvent.wallet;
+
+  const pathname = entry.request && entry.request.pathname;
+
+  if (typeof pathname !== 'string')
+    return null;
+
+  const parts = pathname.split('/');
+
+  if (parts[1] !== 'wallet' || !parts[2])
+    return null;
+
+  try {
+    return decodeURIComponent(parts[2]);
+  } catch (e) {
+    return parts[2];
+  }
+}
+
+function badRequest(msg) {
+  const err = new Error(msg);
+  err.statusCode = 400;
+  return err;
+}
+
+exports.SearchQuery = SearchQuery;
+exports.Cursor = Cursor;
+exports.search = search;
+exports.listFiles = listFiles;
+exports.readLines = readLines;
+exports.parseLine = parseLine;
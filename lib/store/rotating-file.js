@@ -12,6 +12,48 @@
 const assert = require('assert');
 const bfs = require('bfile');
 const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const {promisify} = require('util');
+const EventEmitter = require('events');
+const {GENESIS, hashLine, chainHead} = require('../chain');
+
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * Extension added to the compressed archives.
+ * @const {String}
+ */
+
+const GZIP_EXT = '.gz';
+
+/**
+ * Extension of the file with the last line hash of the pruned archive.
+ * @const {String}
+ */
+
+const PRUNED_EXT = '.pruned';
+
+/**
+ * Rotation intervals, aligned to the UTC boundaries.
+ * @enum {Number}
+ */
+
+const intervals = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+/**
+ * @typedef {Object} ArchiveFile
+ * @property {String} name - file name.
+ * @property {String} file - full path.
+ * @property {String} stamp - date or time window from the name.
+ * @property {Number} seq - sequence number within the time window.
+ * @property {Boolean} compressed
+ * @property {Number} size
+ * @property {Number} mtime
+ */
 
 /**
  * File that rotates.
@@ -25,14 +67,24 @@ const path = require('path');
  * @property {String} filename
  * @property {Number} maxFiles
  * @property {Number} maxFileSize
+ * @property {Boolean} compress - gzip rotated files.
+ * @property {Set<Promise>} compressing
+ * @property {String?} rotateInterval - hourly or daily.
+ * @property {Number} windowStart - start of the active file time window.
+ * @property {Number} maxAge - maximum age of the archives in ms.
+ * @property {Number} maxTotalSize - maximum size of all archives.
+ * @property {Boolean} chain - add hash of the previous line to every line.
+ * @property {String?} lastHash - hash of the last written line.
  */
 
-class RotatingLogFile {
+class RotatingLogFile extends EventEmitter {
   /**
    * @param {Object} options
    */
 
   constructor(options) {
+    super();
+
     this.stream = null;
     this.fileSize = 0;
 
@@ -44,6 +96,17 @@ class RotatingLogFile {
     this.filename = null;
     this.maxFiles = 0;
     this.maxFileSize = 100e6;
+    this.compress = false;
+    this.compressing = new Set();
+    this.compressingFiles = new Set();
+    this.rotateInterval = null;
+    this.maxAge = 0;
+    this.maxTotalSize = 0;
+    this.chain = false;
+    this.lastHash = null;
+    this.windowStart = 0;
+    this.timer = null;
+    this.rotateTimer = null;
 
     this.fromOptions(options);
   }
@@ -72,6 +135,34 @@ class RotatingLogFile {
       this.maxFileSize = options.maxFileSize;
     }
 
+    if (options.compress != null) {
+      assert(typeof options.compress === 'boolean');
+      this.compress = options.compress;
+    }
+
+    if (options.maxAge != null) {
+      assert(Number.isSafeInteger(options.maxAge) && options.maxAge >= 0);
+      this.maxAge = options.maxAge;
+    }
+
+    if (options.maxTotalSize != null) {
+      assert(Number.isSafeInteger(options.maxTotalSize));
+      assert(options.maxTotalSize >= 0);
+      this.maxTotalSize = options.maxTotalSize;
+    }
+
+    if (options.rotateInterval != null) {
+      assert(typeof options.rotateInterval === 'string');
+      assert(intervals[options.rotateInterval] != null,
+        'Unknown rotate interval.');
+      this.rotateInterval = options.rotateInterval;
+    }
+
+    if (options.chain != null) {
+      assert(typeof options.chain === 'boolean');
+      this.chain = options.chain;
+    }
+
     return this;
   }
 
@@ -99,7 +190,19 @@ class RotatingLogFile {
     assert(!this.stream, 'Already open.');
     assert(this.closed, 'File is alredy open.');
 
-    this.fileSize = await this.getFileSize(this.filename);
+    const stat = await this.getFileStat();
+
+    this.fileSize = stat ? stat.size : 0;
+
+    // Continue the chain from the last line of the active file
+    // or the latest archive.
+    if (this.chain && this.lastHash == null)
+      this.lastHash = await this.getChainHead();
+
+    if (this.rotateInterval) {
+      const time = this.fileSize > 0 ? stat.mtimeMs : Date.now();
+      this.windowStart = this.getWindowStart(time);
+    }
 
     try {
       this.stream = await openStream(this.filename, {
@@ -122,11 +225,22 @@ class RotatingLogFile {
         break;
       }
     }
+
+    if (this.rotateInterval) {
+      // Active file was left from the previous time window.
+      if (this.windowStart < this.getWindowStart(Date.now())) {
+        await this.rotate();
+        return;
+      }
+
+      this.scheduleRotate();
+    }
   }
 
   /**
    * Try closing stream.
    * May not write some data if the file was rotationg.
+   * Waits for the background compressions, unless we are rotating.
    * @returns {Promise}
    */
 
@@ -134,6 +248,11 @@ class RotatingLogFile {
     assert(!this.closed);
     assert(this.stream);
 
+    if (this.rotateTimer != null) {
+      clearTimeout(this.rotateTimer);
+      this.rotateTimer = null;
+    }
+
     this.closing = true;
     try {
       await closeStream(this.stream);
@@ -143,6 +262,9 @@ class RotatingLogFile {
 
     this.stream = null;
     this.closed = true;
+
+    if (!this.rotating)
+      await Promise.all(this.compressing);
   }
 
   retry() {
@@ -151,22 +273,101 @@ class RotatingLogFile {
 
     this.timer = setTimeout(() => {
       this.timer = null;
-      this.open();
+
+      if (this.stream)
+        return;
+
+      this.open().catch((e) => {
+        this.emit('error', e);
+        this.retry();
+      });
     }, 1000);
   }
 
   /**
-   * Write json line.
+   * Write json line. Chained lines include the hash of the previous
+   * line as `prev`, the first line of the new file links to
+   * the last line of the rotated one.
    * @returns {Promise<Boolean>} - false - if we can't write nor buffer.
    */
 
   writeJSONLine(json) {
+    if (this.chain) {
+      const line = JSON.stringify({ ...json, prev: this.lastHash });
+
+      if (!this.write(line + '\n'))
+        return false;
+
+      this.lastHash = hashLine(line);
+      return true;
+    }
+
     if (json == null)
       return this.write('null\n');
 
     return this.write(JSON.stringify(json) + '\n');
   }
 
+  /**
+   * Get hash of the last written line.
+   * @private
+   * @returns {Promise<String>}
+   */
+
+  async getChainHead() {
+    const archives = await this.listArchives();
+    const files = [{ file: this.filename, compressed: false }];
+
+    for (const archive of archives.reverse())
+      files.push(archive);
+
+    return chainHead(files);
+  }
+
+  /**
+   * Get expected `prev` of the first line of the oldest file,
+   * hash of the last line of the pruned archive or GENESIS.
+   * @returns {Promise<String>}
+   */
+
+  async getChainStart() {
+    let json;
+
+    try {
+      json = await bfs.readJSON(this.filename + PRUNED_EXT);
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return GENESIS;
+
+      throw e;
+    }
+
+    assert(json && typeof json.head === 'string', 'Invalid pruned file.');
+
+    return json.head;
+  }
+
+  /**
+   * Remember hash of the last line of the archive that is pruned,
+   * the chain of the oldest remaining file starts with it.
+   * @private
+   * @param {Object} archive
+   * @returns {Promise}
+   */
+
+  async writeChainStart(archive) {
+    const head = await chainHead([archive]);
+    const file = this.filename + PRUNED_EXT;
+    const tmp = file + '.tmp';
+
+    await bfs.writeJSON(tmp, {
+      file: archive.name,
+      head
+    });
+
+    await bfs.rename(tmp, file);
+  }
+
   /**
    * Write data to the file. (may rotate)
    * @param {String} msg
@@ -187,6 +388,13 @@ class RotatingLogFile {
       return true;
     }
 
+    // Time window has ended, data belongs to the next file.
+    if (this.rotateInterval && Date.now() >= this.getWindowEnd()) {
+      this._buffer.push(data);
+      this.tryRotate();
+      return true;
+    }
+
     if (!Buffer.isBuffer(data))
       data = Buffer.from(data, 'utf8');
 
@@ -194,11 +402,22 @@ class RotatingLogFile {
     this.fileSize += data.length;
 
     if (this.fileSize >= this.maxFileSize)
-      this.rotate();
+      this.tryRotate();
 
     return true;
   }
 
+  /**
+   * Rotate without waiting for it, failures are emitted.
+   * @private
+   */
+
+  tryRotate() {
+    this.rotate().catch((e) => {
+      this.emit('error', e);
+    });
+  }
+
   /**
    * @private
    * @returns {Promise}
@@ -213,44 +432,307 @@ class RotatingLogFile {
 
     this.rotating = true;
 
-    await this.close();
     const ext = path.extname(this.filename);
     const base = path.basename(this.filename, ext);
     const dir = path.dirname(this.filename);
 
-    const rename = path.join(dir, base + '_' + dateString() + ext);
+    // Time based rotation may end up with an empty file.
+    let rename = null;
+    let error = null;
 
-    await bfs.rename(this.filename, rename);
+    try {
+      await this.close();
+
+      if (this.fileSize > 0) {
+        const name = await this.getArchiveName(dir, base, ext);
+        await bfs.rename(this.filename, name);
+        rename = name;
+      }
+    } catch (e) {
+      error = e;
+    }
 
     this.rotating = false;
 
-    await this.open();
-    await this.prune(dir, base, ext);
+    // Reopen even if rotation failed, so buffered data is not stuck.
+    if (this.closed) {
+      try {
+        await this.open();
+      } catch (e) {
+        this.retry();
+        throw e;
+      }
+    }
+
+    if (error)
+      throw error;
+
+    if (rename && this.compress)
+      this.compressInBackground(rename);
+
+    await this.prune();
     return;
   }
 
   /**
+   * Get the name for the archive of the active file.
+   * Time based rotation names files after their time window,
+   * (base_2023-03-17.log or base_2023-03-17_11.log) and appends
+   * sequence number when the window has multiple files
+   * (base_2023-03-17.1.log).
    * @private
+   * @param {String} dir
+   * @param {String} base
+   * @param {String} ext
+   * @returns {Promise<String>}
+   */
+
+  async getArchiveName(dir, base, ext) {
+    if (!this.rotateInterval)
+      return path.join(dir, base + '_' + dateString() + ext);
+
+    const window = windowString(this.windowStart, this.rotateInterval);
+
+    for (let seq = 0; ; seq++) {
+      const suffix = seq > 0 ? `.${seq}` : '';
+      const file = path.join(dir, `${base}_${window}${suffix}${ext}`);
+
+      if (await bfs.exists(file) || await bfs.exists(file + GZIP_EXT))
+        continue;
+
+      return file;
+    }
+  }
+
+  /**
+   * Get start of the time window for the time.
+   * @param {Number} time
+   * @returns {Number}
+   */
+
+  getWindowStart(time) {
+    const size = intervals[this.rotateInterval];
+    return Math.floor(time / size) * size;
+  }
+
+  /**
+   * Get end of the active file time window.
+   * @returns {Number}
+   */
+
+  getWindowEnd() {
+    return this.windowStart + intervals[this.rotateInterval];
+  }
+
+  /**
+   * Rotate at the end of the time window, even if nothing is written.
+   * @private
+   */
+
+  scheduleRotate() {
+    if (this.rotateTimer != null)
+      clearTimeout(this.rotateTimer);
+
+    const delay = Math.max(0, this.getWindowEnd() - Date.now());
+
+    this.rotateTimer = setTimeout(() => {
+      this.rotateTimer = null;
+      this.tryRotate();
+    }, delay);
+
+    if (this.rotateTimer.unref)
+      this.rotateTimer.unref();
+  }
+
+  /**
+   * Compress archived file without blocking writes.
+   * @private
+   * @param {String} file
+   */
+
+  compressInBackground(file) {
+    const promise = this.compressFile(file).catch((e) => {
+      this.emit('error', e);
+    }).finally(() => {
+      this.compressing.delete(promise);
+      this.compressingFiles.delete(file);
+    });
+
+    this.compressing.add(promise);
+    this.compressingFiles.add(file);
+  }
+
+  /**
+   * Gzip the file (file.gz) and remove the original.
+   * @private
+   * @param {String} file
    * @returns {Promise}
    */
 
-  async prune(dir, base, ext) {
-    const files = await bfs.readdir(dir);
-    const re = new RegExp(`${base}_.*${ext}`);
-    const oldFiles = files.filter(filename => re.test(filename));
+  async compressFile(file) {
+    const gzFile = file + GZIP_EXT;
+    const tmpFile = gzFile + '.tmp';
+    const stat = await bfs.stat(file);
 
-    if (oldFiles.length <= this.maxFiles)
-      return;
+    try {
+      await pipeline(
+        bfs.createReadStream(file),
+        zlib.createGzip(),
+        bfs.createWriteStream(tmpFile)
+      );
+    } catch (e) {
+      await bfs.remove(tmpFile);
+      throw e;
+    }
+
+    // Keep the modification time for the age based retention.
+    await bfs.utimes(tmpFile, stat.atime, stat.mtime);
+    await bfs.rename(tmpFile, gzFile);
+    await bfs.unlink(file);
+  }
+
+  /**
+   * List rotated files of this log, oldest first.
+   * Only the files that exactly match archive names are returned:
+   * base_<stamp>[.seq].ext[.gz]
+   * @returns {Promise<ArchiveFile[]>}
+   */
+
+  async listArchives() {
+    const ext = path.extname(this.filename);
+    const base = path.basename(this.filename, ext);
+    const dir = path.dirname(this.filename);
+    const re = archiveRegExp(base, ext);
+
+    let files;
+
+    try {
+      files = await bfs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return [];
+
+      throw e;
+    }
+
+    const archives = [];
+
+    for (const name of files) {
+      const match = re.exec(name);
+
+      if (!match)
+        continue;
+
+      const file = path.join(dir, name);
+      let stat;
+
+      try {
+        stat = await bfs.stat(file);
+      } catch (e) {
+        if (e.code === 'ENOENT')
+          continue;
+
+        throw e;
+      }
+
+      archives.push({
+        name,
+        file,
+        stamp: match[1],
+        seq: match[2] ? Number(match[2]) : 0,
+        compressed: match[3] != null,
+        size: stat.size,
+        mtime: stat.mtimeMs
+      });
+    }
 
     // Archival files are named with year-month-day-hour-min-sec
-    // so they should already be in order from oldest to newest.
+    // (or time window and sequence) so they should already be in
+    // order from oldest to newest.
     // But just in case readdir() isn't reliable for this...
-    oldFiles.sort();
+    archives.sort(compareArchives);
 
-    const prune = oldFiles.slice(0, -1 * this.maxFiles);
+    return archives;
+  }
 
-    for (const file of prune)
-      await bfs.unlink(path.join(dir, file));
+  /**
+   * Remove archives that are over the retention limits:
+   * maxAge, maxFiles and maxTotalSize (in that order).
+   * Emits `prune` for every removed file.
+   * @private
+   * @returns {Promise}
+   */
+
+  async prune() {
+    const now = Date.now();
+    const archives = [];
+    const prune = [];
+
+    for (const archive of await this.listArchives()) {
+      // Don't touch files that are being compressed.
+      if (this.compressingFiles.has(archive.file))
+        continue;
+
+      if (this.maxAge > 0 && now - archive.mtime > this.maxAge) {
+        prune.push({ archive, reason: 'age' });
+        continue;
+      }
+
+      archives.push(archive);
+    }
+
+    if (this.maxFiles > 0 && archives.length > this.maxFiles) {
+      const removed = archives.splice(0, archives.length - this.maxFiles);
+
+      for (const archive of removed)
+        prune.push({ archive, reason: 'count' });
+    }
+
+    if (this.maxTotalSize > 0) {
+      let total = archives.reduce((sum, a) => sum + a.size, 0);
+
+      while (archives.length > 0 && total > this.maxTotalSize) {
+        const archive = archives.shift();
+        total -= archive.size;
+        prune.push({ archive, reason: 'size' });
+      }
+    }
+
+    for (const {archive, reason} of prune) {
+      try {
+        if (this.chain)
+          await this.writeChainStart(archive);
+
+        await bfs.unlink(archive.file);
+      } catch (e) {
+        if (e.code === 'ENOENT')
+          continue;
+
+        throw e;
+      }
+
+      this.emit('prune', {
+        file: archive.file,
+        size: archive.size,
+        reason
+      });
+    }
+  }
+
+  /**
+   * Get stat of the current active file.
+   * @returns {Promise<fs.Stats?>}
+   */
+
+  async getFileStat() {
+    try {
+      return await bfs.stat(this.filename);
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return null;
+
+      throw e;
+    }
   }
 
   /**
@@ -330,6 +812,62 @@ function closeStream(stream) {
   });
 }
 
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression for the archive names:
+ *  - base_2019-10-28_19-01-15-122.ext - size based rotation.
+ *  - base_2019-10-28[_19][.seq].ext - time based rotation.
+ * Optionally compressed (.gz).
+ * @param {String} base
+ * @param {String} ext
+ * @returns {RegExp}
+ */
+
+function archiveRegExp(base, ext) {
+  const stamp = '(\\d{4}-\\d{2}-\\d{2}(?:_\\d{2}(?:-\\d{2}-\\d{2}-\\d{3})?)?)';
+  const seq = '(?:\\.(\\d+))?';
+  const gz = `(${escapeRegExp(GZIP_EXT)})?`;
+
+  return new RegExp(
+    `^${escapeRegExp(base)}_${stamp}${seq}${escapeRegExp(ext)}${gz}$`
+  );
+}
+
+/**
+ * Compare archives by stamp, then sequence number.
+ * @param {ArchiveFile} a
+ * @param {ArchiveFile} b
+ * @returns {Number}
+ */
+
+function compareArchives(a, b) {
+  if (a.stamp !== b.stamp)
+    return a.stamp < b.stamp ? -1 : 1;
+
+  return a.seq - b.seq;
+}
+
+/**
+ * Time window as a string.
+ * @param {Number} start
+ * @param {String} interval
+ * @returns {String}
+ */
+
+function windowString(start, interval) {
+  // '2019-10-28T19:00:00.000Z'
+  const date = new Date(start).toJSON();
+
+  if (interval === 'daily')
+    return date.slice(0, 10);
+
+  // '2019-10-28_19'
+  return date.slice(0, 13).replace('T', '_');
+}
+
 function dateString() {
   // '2019-10-28T19:02:45.122Z'
   let now = new Date().toJSON();
@@ -340,4 +878,6 @@ function dateString() {
   return now;
 }
 
+RotatingLogFile.GZIP_EXT = GZIP_EXT;
+RotatingLogFile.intervals = intervals;
 module.exports = RotatingLogFile;
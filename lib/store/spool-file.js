@@ -0,0 +1,237 @@
+/*!
+ * spool-file.js - Bounded on-disk queue of JSON lines.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const bfs = require('bfile');
+const {readLines} = require('../search');
+
+/**
+ * JSON lines waiting to be sent. Lines are appended to the end and
+ * removed from the start by moving the read offset. File is removed once
+ * everything is read and the unread lines are moved to the start of the
+ * file only when it's full or the spool gets closed.
+ * @alias module:logger.SpoolFile
+ * @property {String} filename
+ * @property {Number} maxSize - maximum size of the file in bytes.
+ * @property {Number} fileSize - current size of the file.
+ * @property {Number} offset - size of the removed lines at the start.
+ */
+
+class SpoolFile {
+  /**
+   * @param {Object} options
+   * @param {String} options.filename
+   * @param {Number} [options.maxSize]
+   */
+
+  constructor(options) {
+    assert(typeof options === 'object');
+    assert(typeof options.filename === 'string');
+
+    this.filename = options.filename;
+    this.maxSize = 10 * (1 << 20); // 10 MiB
+    this.fileSize = 0;
+    this.offset = 0;
+
+    if (options.maxSize != null) {
+      assert(Number.isSafeInteger(options.maxSize) && options.maxSize >= 0);
+      this.maxSize = options.maxSize;
+    }
+  }
+
+  /**
+   * Size of the lines waiting to be sent.
+   * @returns {Number}
+   */
+
+  get size() {
+    return this.fileSize - this.offset;
+  }
+
+  /**
+   * Get the size of the spool left from the previous run.
+   * @returns {Promise}
+   */
+
+  async open() {
+    this.offset = 0;
+
+    try {
+      const stat = await bfs.stat(this.filename);
+      this.fileSize = stat.size;
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+
+      this.fileSize = 0;
+    }
+  }
+
+  /**
+   * Move unread lines to the start of the file,
+   * so they are not sent again after restart.
+   * @returns {Promise}
+   */
+
+  async close() {
+    await this.compact();
+  }
+
+  /**
+   * Append lines that fit into the maxSize, the rest is dropped.
+   * @param {String[]} lines
+   * @returns {Promise<Number>} - number of appended lines.
+   */
+
+  async append(lines) {
+    const bytes = lines.map(line => Buffer.byteLength(line, 'utf8') + 1);
+    const total = bytes.reduce((sum, n) => sum + n, 0);
+
+    if (this.fileSize + total > this.maxSize && this.offset > 0)
+      await this.compact();
+
+    let data = '';
+    let size = this.fileSize;
+    let count = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (size + bytes[i] > this.maxSize)
+        break;
+
+      data += lines[i] + '\n';
+      size += bytes[i];
+      count += 1;
+    }
+
+    if (count === 0)
+      return 0;
+
+    await bfs.appendFile(this.filename, data);
+    this.fileSize = size;
+
+    return count;
+  }
+
+  /**
+   * Read lines from the start.
+   * @param {Number} count
+   * @returns {Promise<String[]>}
+   */
+
+  async read(count) {
+    const lines = [];
+
+    await this.scan((line) => {
+      if (lines.length >= count)
+        return false;
+
+      if (line.length > 0)
+        lines.push(line);
+
+      return true;
+    });
+
+    return lines;
+  }
+
+  /**
+   * Remove lines from the start.
+   * @param {Number} count
+   * @returns {Promise}
+   */
+
+  async remove(count) {
+    let removed = 0;
+
+    await this.scan((line) => {
+      if (removed >= count)
+        return false;
+
+      this.offset += Buffer.byteLength(line, 'utf8') + 1;
+
+      if (line.length > 0)
+        removed += 1;
+
+      return true;
+    });
+
+    if (this.offset >= this.fileSize)
+      await this.clear();
+  }
+
+  /**
+   * Rewrite the file without the removed lines.
+   * @private
+   * @returns {Promise}
+   */
+
+  async compact() {
+    if (this.offset === 0)
+      return;
+
+    if (this.offset >= this.fileSize) {
+      await this.clear();
+      return;
+    }
+
+    const lines = await this.read(Infinity);
+    const tmp = this.filename + '.tmp';
+    const data = lines.map(line => line + '\n').join('');
+
+    await bfs.writeFile(tmp, data);
+    await bfs.rename(tmp, this.filename);
+
+    this.fileSize = Buffer.byteLength(data, 'utf8');
+    this.offset = 0;
+  }
+
+  /**
+   * Remove the file.
+   * @private
+   * @returns {Promise}
+   */
+
+  async clear() {
+    try {
+      await bfs.unlink(this.filename);
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+    }
+
+    this.fileSize = 0;
+    this.offset = 0;
+  }
+
+  /**
+   * Call the function for every unread line, until it returns false.
+   * @private
+   * @param {Function} fn
+   * @returns {Promise}
+   */
+
+  async scan(fn) {
+    if (this.size <= 0)
+      return;
+
+    try {
+      for await (const line of readLines(this.filename, false, this.offset)) {
+        if (!fn(line))
+          break;
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+
+      this.fileSize = 0;
+      this.offset = 0;
+    }
+  }
+}
+
+module.exports = SpoolFile;
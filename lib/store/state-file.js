@@ -0,0 +1,169 @@
+/*!
+ * state-file.js - Runtime state of the reporters.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const bfs = require('bfile');
+
+/**
+ * @typedef {Object} ReporterState
+ * @property {Boolean} enabled
+ * @property {Object?} options - options set with PUT /bweb-log/:id.
+ */
+
+/**
+ * JSON file with the reporter changes made at runtime.
+ * File is replaced atomically on every write.
+ * @alias module:logger.StateFile
+ * @property {String} filename
+ * @property {Map<String, ReporterState>} reporters
+ * @property {Object?} redact - changed redaction rules, shared by reporters.
+ * @property {Promise} writing - last queued write.
+ */
+
+class StateFile {
+  /**
+   * @param {Object} options
+   * @param {String} options.filename
+   */
+
+  constructor(options) {
+    assert(typeof options === 'object');
+    assert(typeof options.filename === 'string');
+
+    this.filename = options.filename;
+    this.reporters = new Map();
+    this.redact = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the state from the disk.
+   * @returns {Promise}
+   */
+
+  async read() {
+    let json;
+
+    try {
+      json = await bfs.readJSON(this.filename);
+    } catch (e) {
+      if (e.code === 'ENOENT')
+        return;
+
+      throw e;
+    }
+
+    assert(json && typeof json === 'object', 'Invalid state file.');
+    assert(json.reporters && typeof json.reporters === 'object',
+      'Invalid state file.');
+    assert(json.redact == null || typeof json.redact === 'object',
+      'Invalid state file.');
+
+    this.reporters.clear();
+    this.redact = json.redact ?? null;
+
+    for (const [id, state] of Object.entries(json.reporters)) {
+      assert(typeof state.enabled === 'boolean', 'Invalid reporter state.');
+      assert(state.options == null || typeof state.options === 'object',
+        'Invalid reporter state.');
+
+      this.reporters.set(id, {
+        enabled: state.enabled,
+        options: state.options ?? null
+      });
+    }
+  }
+
+  /**
+   * @param {String} id
+   * @returns {ReporterState?}
+   */
+
+  get(id) {
+    return this.reporters.get(id) || null;
+  }
+
+  /**
+   * @param {String} id
+   * @param {ReporterState} state
+   * @returns {Promise}
+   */
+
+  async set(id, state) {
+    assert(typeof state.enabled === 'boolean');
+
+    this.reporters.set(id, {
+      enabled: state.enabled,
+      options: state.options ?? null
+    });
+
+    await this.write();
+  }
+
+  /**
+   * @param {String} id
+   * @returns {Promise}
+   */
+
+  async remove(id) {
+    this.reporters.delete(id);
+    await this.write();
+  }
+
+  /**
+   * @param {Object?} redact
+   * @returns {Promise}
+   */
+
+  async setRedact(redact) {
+    this.redact = redact;
+    await this.write();
+  }
+
+  /**
+   * Queue the write, so they don't overlap.
+   * @returns {Promise}
+   */
+
+  write() {
+    const json = this.toJSON();
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => this._write(json));
+
+    return this.writing;
+  }
+
+  /**
+   * @private
+   * @param {Object} json
+   * @returns {Promise}
+   */
+
+  async _write(json) {
+    const tmp = this.filename + '.tmp';
+
+    await bfs.writeJSON(tmp, json);
+    await bfs.rename(tmp, this.filename);
+  }
+
+  toJSON() {
+    const reporters = {};
+
+    for (const [id, state] of this.reporters)
+      reporters[id] = state;
+
+    return {
+      reporters,
+      redact: this.redact ?? undefined
+    };
+  }
+}
+
+module.exports = StateFile;
@@ -0,0 +1,374 @@
+/*!
+ * syslog-client.js - Send syslog messages over udp, tcp or unix socket.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+/**
+ * Transports.
+ * @enum {String}
+ */
+
+const transports = {
+  UDP: 'udp',
+  TCP: 'tcp',
+  UNIX: 'unix'
+};
+
+/**
+ * Delay before reconnecting.
+ * @const {Number}
+ */
+
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Maximum size of the data waiting to be written to the stream.
+ * @const {Number}
+ */
+
+const MAX_PENDING = 1 << 20;
+
+/**
+ * Client for the syslog server. Messages are sent as datagrams over udp,
+ * with octet counting framing (RFC 6587) over tcp and new line terminated
+ * over unix stream socket. Unix datagram sockets (e.g. /dev/log) can't be
+ * used from node, client stops after reporting it. Stream transports
+ * reconnect in the background, messages are buffered until connected
+ * and dropped when the buffer is full or the server does not keep up.
+ * @alias module:logger.SyslogClient
+ * @property {String} transport
+ * @property {String} host
+ * @property {Number} port
+ * @property {String?} path - unix socket path.
+ * @property {Number} maxBuffer - maximum number of buffered messages.
+ * @property {net.Socket|dgram.Socket|null} socket
+ * @property {Boolean} connected
+ * @property {Boolean} closed
+ * @property {Boolean} failed - connection error was already reported.
+ * @property {Boolean} unsupported - unix socket is not a stream socket.
+ * @property {Number} sent
+ * @property {Number} dropped
+ */
+
+class SyslogClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    super();
+
+    this.transport = transports.UDP;
+    this.host = '127.0.0.1';
+    this.port = 514;
+    this.path = null;
+    this.maxBuffer = 1000;
+
+    this.socket = null;
+    this.connected = false;
+    this.closed = true;
+    this.failed = false;
+    this.unsupported = false;
+    this.timer = null;
+    this._buffer = [];
+
+    this.sent = 0;
+    this.dropped = 0;
+
+    this.fromOptions(options);
+  }
+
+  /**
+   * Check and apply options.
+   * @param {Object} options
+   * @returns {SyslogClient}
+   */
+
+  fromOptions(options) {
+    assert(typeof options === 'object');
+
+    if (options.transport != null) {
+      assert(Object.values(transports).includes(options.transport),
+        'Unknown syslog transport.');
+      this.transport = options.transport;
+    }
+
+    if (options.host != null) {
+      assert(typeof options.host === 'string');
+      this.host = options.host;
+    }
+
+    if (options.port != null) {
+      assert((options.port & 0xffff) === options.port);
+      this.port = options.port;
+    }
+
+    if (options.path != null) {
+      assert(typeof options.path === 'string');
+      this.path = options.path;
+    }
+
+    if (options.maxBuffer != null) {
+      assert((options.maxBuffer >>> 0) === options.maxBuffer);
+      this.maxBuffer = options.maxBuffer;
+    }
+
+    if (this.transport === transports.UNIX)
+      assert(this.path, 'Unix socket path is required.');
+
+    return this;
+  }
+
+  /**
+   * Open the socket, stream transports connect in the background.
+   * @returns {Promise}
+   */
+
+  async open() {
+    assert(this.closed, 'Already open.');
+
+    this.closed = false;
+    this.failed = false;
+    this.unsupported = false;
+
+    if (this.transport === transports.UDP) {
+      const type = net.isIPv6(this.host) ? 'udp6' : 'udp4';
+
+      this.socket = dgram.createSocket(type);
+      this.socket.on('error', e => this.emit('error', e));
+      this.socket.unref();
+      this.connected = true;
+      return;
+    }
+
+    this.connect();
+  }
+
+  /**
+   * Close the socket, buffered messages are dropped.
+   * @returns {Promise}
+   */
+
+  async close() {
+    assert(!this.closed, 'Not open.');
+
+    this.closed = true;
+    this.connected = false;
+
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.dropped += this._buffer.length;
+    this._buffer = [];
+
+    const socket = this.socket;
+
+    if (!socket)
+      return;
+
+    this.socket = null;
+
+    if (this.transport === transports.UDP) {
+      await new Promise(resolve => socket.close(resolve));
+      return;
+    }
+
+    if (socket.destroyed)
+      return;
+
+    await new Promise((resolve) => {
+      socket.once('close', resolve);
+
+      // Flush written messages, unless we never connected.
+      if (socket.connecting)
+        socket.destroy();
+      else
+        socket.end(() => socket.destroy());
+    });
+  }
+
+  /**
+   * @private
+   */
+
+  connect() {
+    const socket = this.transport === transports.TCP
+      ? net.connect(this.port, this.host)
+      : net.connect(this.path);
+
+    socket.once('connect', () => {
+      this.connected = true;
+      this.failed = false;
+      this.flush();
+    });
+
+    socket.on('error', (e) => {
+      // Report once until we reconnect.
+      if (this.failed)
+        return;
+
+      this.failed = true;
+
+      if (e.code === 'EPROTOTYPE' && this.transport === transports.UNIX) {
+        this.unsupported = true;
+        this.emit('error', new Error(`Syslog socket ${this.path} is not`
+          + ' a stream socket, datagram sockets are not supported.'));
+        return;
+      }
+
+      this.emit('error', e);
+    });
+
+    socket.once('close', () => {
+      if (this.socket !== socket)
+        return;
+
+      this.socket = null;
+      this.connected = false;
+
+      // Reconnecting won't help.
+      if (this.unsupported) {
+        this.dropped += this._buffer.length;
+        this._buffer = [];
+        return;
+      }
+
+      this.retry();
+    });
+
+    socket.unref();
+    this.socket = socket;
+  }
+
+  /**
+   * @private
+   */
+
+  retry() {
+    if (this.closed || this.timer != null)
+      return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+
+      if (!this.closed)
+        this.connect();
+    }, RECONNECT_DELAY);
+
+    this.timer.unref();
+  }
+
+  /**
+   * @private
+   */
+
+  flush() {
+    while (this._buffer.length > 0 && this.connected)
+      this.write(this._buffer.shift());
+  }
+
+  /**
+   * Send the message.
+   * @param {String} msg
+   * @returns {Boolean} - false - if we can't send nor buffer.
+   */
+
+  send(msg) {
+    assert(typeof msg === 'string');
+
+    if (this.closed)
+      return false;
+
+    if (this.unsupported) {
+      this.dropped += 1;
+      return false;
+    }
+
+    const data = this.frame(msg);
+
+    if (!this.connected) {
+      if (this._buffer.length >= this.maxBuffer) {
+        this.dropped += 1;
+        return false;
+      }
+
+      this._buffer.push(data);
+      return true;
+    }
+
+    // Server does not keep up.
+    if (this.transport !== transports.UDP
+      && this.socket.writableLength >= MAX_PENDING) {
+      this.dropped += 1;
+      return false;
+    }
+
+    this.write(data);
+
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Buffer} data
+   */
+
+  write(data) {
+    if (this.transport === transports.UDP) {
+      this.socket.send(data, this.port, this.host, (err) => {
+        if (err)
+          this.emit('error', err);
+      });
+    } else {
+      this.socket.write(data);
+    }
+
+    this.sent += 1;
+  }
+
+  /**
+   * Frame the message for the transport.
+   * @private
+   * @param {String} msg
+   * @returns {Buffer}
+   */
+
+  frame(msg) {
+    const data = Buffer.from(msg, 'utf8');
+
+    switch (this.transport) {
+      case transports.TCP:
+        return Buffer.concat([Buffer.from(`${data.length} `), data]);
+      case transports.UNIX:
+        return Buffer.concat([data, Buffer.from('\n')]);
+    }
+
+    return data;
+  }
+
+  /**
+   * @returns {Object}
+   */
+
+  getStats() {
+    return {
+      connected: this.connected,
+      buffered: this._buffer.length,
+      sent: this.sent,
+      dropped: this.dropped
+    };
+  }
+}
+
+SyslogClient.transports = transports;
+module.exports = SyslogClient;
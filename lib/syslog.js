@@ -0,0 +1,213 @@
+/*!
+ * syslog.js - RFC 5424 syslog messages.
+ * Copyright (c) 2023, Nodari Chkuaselidze (MIT License)
+ * https://github.com/nodech/hsd-bweb-log
+ */
+
+'use strict';
+
+const assert = require('bsert');
+
+/**
+ * Syslog facilities.
+ * @enum {Number}
+ */
+
+const facilities = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+/**
+ * Syslog severities.
+ * @enum {Number}
+ */
+
+const severities = {
+  emerg: 0,
+  alert: 1,
+  crit: 2,
+  err: 3,
+  warning: 4,
+  notice: 5,
+  info: 6,
+  debug: 7
+};
+
+/**
+ * Value used for the empty header fields.
+ * @const {String}
+ */
+
+const NILVALUE = '-';
+
+/**
+ * Maximum lengths of the header fields.
+ * @const {Object}
+ */
+
+const limits = {
+  hostname: 255,
+  appName: 48,
+  procID: 128,
+  msgID: 32,
+  sdName: 32
+};
+
+/**
+ * @typedef {Object} SyslogMessage
+ * @property {Number} facility
+ * @property {Number} severity
+ * @property {Date} [date]
+ * @property {String?} hostname
+ * @property {String?} appName
+ * @property {String|Number?} procID
+ * @property {String?} msgID
+ * @property {String} sdID - e.g. name@32473.
+ * @property {Object} params - structured data parameters.
+ * @property {String?} msg
+ */
+
+/**
+ * Format RFC 5424 message.
+ * @param {SyslogMessage} options
+ * @returns {String}
+ */
+
+function formatMessage(options) {
+  const {facility, severity} = options;
+
+  assert((facility >>> 0) === facility && facility <= 23);
+  assert((severity >>> 0) === severity && severity <= 7);
+
+  const date = options.date || new Date();
+  const pri = facility * 8 + severity;
+  const header = [
+    `<${pri}>1`,
+    date.toISOString(),
+    headerField(options.hostname, limits.hostname),
+    headerField(options.appName, limits.appName),
+    headerField(options.procID, limits.procID),
+    headerField(options.msgID, limits.msgID)
+  ].join(' ');
+
+  const sd = formatSD(options.sdID, options.params);
+
+  if (options.msg == null || options.msg.length === 0)
+    return `${header} ${sd}`;
+
+  return `${header} ${sd} ${options.msg}`;
+}
+
+/**
+ * Format structured data element, parameters without value are skipped.
+ * @param {String?} id
+ * @param {Object} params
+ * @returns {String}
+ */
+
+function formatSD(id, params) {
+  if (id == null)
+    return NILVALUE;
+
+  assert(isSDName(id, limits.sdName), 'Invalid structured data id.');
+
+  let sd = '[' + id;
+
+  for (const [name, value] of Object.entries(params)) {
+    if (value == null)
+      continue;
+
+    assert(isSDName(name, limits.sdName), 'Invalid structured data name.');
+
+    sd += ` ${name}="${escapeParam(String(value))}"`;
+  }
+
+  return sd + ']';
+}
+
+/**
+ * Escape `"`, `\` and `]` of the parameter value.
+ * @param {String} value
+ * @returns {String}
+ */
+
+function escapeParam(value) {
+  return value.replace(/["\\\]]/g, '\\$&');
+}
+
+/**
+ * Header fields are printable US-ASCII without spaces.
+ * @param {String|Number?} value
+ * @param {Number} limit
+ * @returns {String}
+ */
+
+function headerField(value, limit) {
+  if (value == null)
+    return NILVALUE;
+
+  const field = String(value)
+    .replace(/[^\x21-\x7e]/g, '')
+    .slice(0, limit);
+
+  return field.length > 0 ? field : NILVALUE;
+}
+
+/**
+ * @param {String} name
+ * @param {Number} limit
+ * @returns {Boolean}
+ */
+
+function isSDName(name, limit) {
+  return typeof name === 'string'
+    && name.length > 0
+    && name.length <= limit
+    && /^[\x21-\x7e]+$/.test(name)
+    && !/[= \]"]/.test(name);
+}
+
+/**
+ * Severity of the response status code.
+ * Requests without the status code are errors.
+ * @param {Number} status
+ * @returns {Number}
+ */
+
+function statusSeverity(status) {
+  if (status >= 500 || status < 100)
+    return severities.err;
+
+  if (status >= 400)
+    return severities.warning;
+
+  if (status >= 300)
+    return severities.notice;
+
+  return severities.info;
+}
+
+exports.facilities = facilities;
+exports.severities = severities;
+exports.formatMessage = formatMessage;
+exports.statusSeverity = statusSeverity;
+exports.isSDName = isSDName;
@@ -8,6 +8,13 @@
 
 const util = exports;
 
+/**
+ * Dollarydoos in a coin, RPC amounts are in coins.
+ * @const {Number}
+ */
+
+util.COIN = 1e6;
+
 const ns = 1n;
 const us = 1000n * ns;
 const ms = 1000n * us;
@@ -61,3 +68,31 @@ util.formatTime = (time, type = 's', prec = 2) => {
 util.now = function now() {
   return Math.floor(Date.now() / 1000);
 };
+
+/**
+ * Get amount in dollarydoos.
+ * @param {*} value - number or numeric string.
+ * @param {Number} unit - multiplier (1 or COIN).
+ * @returns {Number?}
+ */
+
+util.toValue = function toValue(value, unit) {
+  if (typeof value === 'string')
+    value = Number(value);
+
+  if (typeof value !== 'number' || !Number.isFinite(value))
+    return null;
+
+  return Math.round(value * unit);
+};
+
+/**
+ * Does the object have its own property (Object.hasOwn is Node 16.9+).
+ * @param {Object} obj
+ * @param {String} key
+ * @returns {Boolean}
+ */
+
+util.has = function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+};
@@ -0,0 +1,460 @@
+'use strict';
+
+const assert = require('bsert');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const bfs = require('bfile');
+const bweb = require('bweb');
+const Logger = require('../lib/logger');
+const AbstractReporter = require('../lib/reporters/abstract');
+const RPCReporter = require('../lib/reporters/rpc');
+const NameReporter = require('../lib/reporters/names');
+const SpendReporter = require('../lib/reporters/spend');
+const SlowReporter = require('../lib/reporters/slow');
+
+const prefix = path.join(os.tmpdir(), `bweb-log-test-${process.pid}`);
+
+/**
+ * Server with the middlewares in the same order as hsd.
+ */
+
+class TestServer extends bweb.Server {
+  constructor() {
+    super({ host: '127.0.0.1', port: 0 });
+
+    this.rpc.add('echo', async args => args);
+    this.rpc.add('fail', async () => {
+      throw new bweb.RPC.RPCError(-1, 'Failed.');
+    });
+
+    // Same as hsd, which shifts the type out of the actions.
+    this.rpc.add('sendbatch', async ([actions]) => {
+      for (const action of actions)
+        action.shift();
+
+      return 'ab'.repeat(32);
+    });
+
+    this.rpc.add('sendopen', async () => 'cd'.repeat(32));
+    this.rpc.add('sendtoaddress', async () => 'ef'.repeat(32));
+    this.rpc.add('sendmany', async () => '01'.repeat(32));
+    this.rpc.add('abandontransaction', async () => null);
+
+    this.use(this.bodyParser({ type: 'json' }));
+    this.use(this.jsonRPC());
+    this.use(this.router());
+
+    this.post('/wallet/:id/open', async (req, res) => {
+      res.json(200, { id: req.params.id });
+    });
+
+    this.error((err, req, res) => {
+      res.json(err.statusCode || 500, { error: { message: err.message } });
+    });
+  }
+}
+
+/**
+ * Collect begin and finish events.
+ */
+
+class TestReporter extends AbstractReporter {
+  constructor(options) {
+    super(options);
+    this.begin = [];
+    this.finish = [];
+  }
+
+  async open() {}
+  async close() {}
+
+  async logRequest(req, meta) {
+    this.begin.push({ pathname: req.pathname, id: meta.id });
+  }
+
+  async logRequestFinished(req, res, meta) {
+    this.finish.push({
+      pathname: req.pathname,
+      id: meta.id,
+      status: meta.statusCode,
+      response: meta.response
+    });
+  }
+
+  static id = 'test';
+}
+
+function createNode(server) {
+  const logger = {
+    context: () => logger,
+    debug: () => {},
+    info: () => {},
+    warning: () => {},
+    error: () => {}
+  };
+
+  const config = {
+    prefix,
+    location: file => path.join(prefix, file)
+  };
+
+  return { logger, config, http: server };
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (check())
+      return;
+
+    await new Promise(r => setTimeout(r, 10));
+  }
+
+  throw new Error('Timed out.');
+}
+
+function request(port, method, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: pathname,
+      agent: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers
+      }
+    }, (res) => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+        });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+describe('JSON-RPC requests', function() {
+  let server, logger, port;
+
+  beforeEach(async () => {
+    await bfs.mkdirp(prefix);
+
+    server = new TestServer();
+    logger = new Logger({ node: createNode(server) });
+    logger.init();
+
+    await logger.register(TestReporter, {}, true);
+    await logger.register(RPCReporter, {
+      filePath: path.join(prefix, 'rpc.log')
+    }, true);
+
+    await server.open();
+    port = server.http.address().port;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await logger.disableReporter(TestReporter.id);
+    await logger.disableReporter(RPCReporter.id);
+    await bfs.rimraf(prefix);
+  });
+
+  it('should log the RPC call', async () => {
+    const res = await request(port, 'POST', '/', {
+      method: 'echo',
+      params: [1, 2],
+      id: 7
+    }, { 'X-Request-Id': 'rpc-1' });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.result, [1, 2]);
+    assert.strictEqual(res.headers['x-request-id'], 'rpc-1');
+
+    const reporter = logger.enabledReporters.get(TestReporter.id);
+
+    assert.deepStrictEqual(reporter.begin, [{ pathname: '/', id: 'rpc-1' }]);
+    assert.strictEqual(reporter.finish.length, 1);
+    assert.strictEqual(reporter.finish[0].id, 'rpc-1');
+    assert.strictEqual(reporter.finish[0].status, 200);
+    assert.deepStrictEqual(reporter.finish[0].response, res.body);
+  });
+
+  it('should record stats per RPC method', async () => {
+    await request(port, 'POST', '/', [
+      { method: 'echo', params: [], id: 1 },
+      { method: 'fail', params: [], id: 2 }
+    ]);
+
+    await request(port, 'POST', '/', { method: 'echo', params: [], id: 3 });
+
+    const reporter = logger.enabledReporters.get(RPCReporter.id);
+    const {methods} = await reporter.getStats();
+
+    assert.deepStrictEqual(methods.map(m => [m.method, m.count, m.errors]), [
+      ['echo', 2, 0],
+      ['fail', 1, 1]
+    ]);
+  });
+
+  it('should end the requests in flight', async () => {
+    await request(port, 'POST', '/', { method: 'echo', params: [], id: 1 });
+    await request(port, 'POST', '/wallet/primary/open', {});
+
+    assert.strictEqual(logger.metrics.inFlight, 0);
+  });
+
+  it('should end the requests when logging fails', async () => {
+    const reporter = logger.enabledReporters.get(TestReporter.id);
+
+    reporter.logRequest = async () => {
+      throw new Error('Failed.');
+    };
+
+    // Server emits internal errors.
+    const errors = [];
+    server.on('error', e => errors.push(e));
+
+    const rpc = await request(port, 'POST', '/', {
+      method: 'echo',
+      params: [],
+      id: 1
+    });
+
+    const route = await request(port, 'POST', '/wallet/primary/open', {});
+
+    assert.strictEqual(rpc.status, 500);
+    assert.strictEqual(route.status, 500);
+    assert.strictEqual(errors.length, 2);
+    assert.strictEqual(logger.metrics.inFlight, 0);
+  });
+
+  it('should still log the routes', async () => {
+    const res = await request(port, 'POST', '/wallet/primary/open', {});
+
+    assert.strictEqual(res.status, 200);
+    assert(res.headers['x-request-id']);
+
+    const reporter = logger.enabledReporters.get(TestReporter.id);
+
+    assert.strictEqual(reporter.begin.length, 1);
+    assert.strictEqual(reporter.finish.length, 1);
+    assert.strictEqual(reporter.finish[0].pathname, '/wallet/primary/open');
+    assert.deepStrictEqual(reporter.finish[0].response, { id: 'primary' });
+  });
+});
+
+describe('Name JSON-RPC requests', function() {
+  let server, logger, port, entries;
+
+  beforeEach(async () => {
+    await bfs.mkdirp(prefix);
+
+    server = new TestServer();
+    logger = new Logger({ node: createNode(server) });
+    logger.init();
+
+    await logger.register(NameReporter, {
+      filePath: path.join(prefix, 'names.log')
+    }, true);
+
+    entries = [];
+    logger.enabledReporters.get(NameReporter.id).on('entry', (entry) => {
+      entries.push(entry);
+    });
+
+    await server.open();
+    port = server.http.address().port;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await logger.disableReporter(NameReporter.id);
+    await bfs.rimraf(prefix);
+  });
+
+  it('should log name calls', async () => {
+    await request(port, 'POST', '/', [
+      { method: 'sendopen', params: ['first'], id: 1 },
+      { method: 'getinfo', params: [], id: 2 }
+    ]);
+
+    await waitFor(() => entries.length === 2);
+
+    assert.deepStrictEqual(entries.map(e => e.type), ['begin', 'finish']);
+
+    const [, finish] = entries;
+
+    assert.strictEqual(finish.nameEvent.type, 'OPEN');
+    assert.strictEqual(finish.nameEvent.name, 'first');
+    assert.strictEqual(finish.nameEvent.txHash, 'cd'.repeat(32));
+  });
+
+  it('should log batch actions read before the call', async () => {
+    await request(port, 'POST', '/', {
+      method: 'sendbatch',
+      params: [[
+        ['OPEN', 'first'],
+        ['BID', 'second', 1, 2],
+        ['NONE', 'rs1q...', 1]
+      ]],
+      id: 1
+    });
+
+    await waitFor(() => entries.length === 4);
+
+    const begin = entries.filter(e => e.type === 'begin');
+    const finish = entries.filter(e => e.type === 'finish');
+
+    assert.deepStrictEqual(begin[1].nameEvent.extra, {
+      bid: 1e6,
+      lockup: 2e6
+    });
+
+    assert.deepStrictEqual(finish.map(e => e.nameEvent.type), ['OPEN', 'BID']);
+    assert.deepStrictEqual(finish.map(e => e.nameEvent.name), [
+      'first',
+      'second'
+    ]);
+
+    for (const entry of finish)
+      assert.strictEqual(entry.nameEvent.txHash, 'ab'.repeat(32));
+  });
+});
+
+describe('Spend JSON-RPC requests', function() {
+  const file = path.join(prefix, 'spend.log');
+
+  let server, logger, port;
+
+  const readEntries = () => {
+    if (!bfs.existsSync(file))
+      return [];
+
+    return bfs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+  };
+
+  beforeEach(async () => {
+    await bfs.mkdirp(prefix);
+
+    server = new TestServer();
+    logger = new Logger({ node: createNode(server) });
+    logger.init();
+
+    await logger.register(SpendReporter, { filePath: file }, true);
+
+    await server.open();
+    port = server.http.address().port;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await logger.disableReporter(SpendReporter.id);
+    await bfs.rimraf(prefix);
+  });
+
+  it('should log spend calls', async () => {
+    await request(port, 'POST', '/', [
+      { method: 'sendtoaddress', params: ['rs1qaddr', 1.5], id: 1 },
+      { method: 'sendmany', params: ['', { rs1qa: 1, rs1qb: 2 }], id: 2 },
+      { method: 'abandontransaction', params: ['aa'.repeat(32)], id: 3 },
+      { method: 'getinfo', params: [], id: 4 }
+    ]);
+
+    await waitFor(() => readEntries().length === 6);
+
+    const finish = readEntries().filter(e => e.type === 'finish');
+
+    assert.deepStrictEqual(finish.map(e => e.spendEvent.method), [
+      'sendtoaddress',
+      'sendmany',
+      'abandontransaction'
+    ]);
+
+    assert.deepStrictEqual(finish.map(e => e.spendEvent.txid), [
+      'ef'.repeat(32),
+      '01'.repeat(32),
+      'aa'.repeat(32)
+    ]);
+
+    assert.deepStrictEqual(finish[1].spendEvent.outputs, [
+      { address: 'rs1qa', value: 1e6 },
+      { address: 'rs1qb', value: 2e6 }
+    ]);
+  });
+});
+
+describe('Slow JSON-RPC requests', function() {
+  const file = path.join(prefix, 'slow.log');
+
+  let server, logger, port;
+
+  const readEntries = () => {
+    if (!bfs.existsSync(file))
+      return [];
+
+    return bfs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+  };
+
+  beforeEach(async () => {
+    await bfs.mkdirp(prefix);
+
+    server = new TestServer();
+    logger = new Logger({ node: createNode(server) });
+    logger.init();
+
+    await logger.register(SlowReporter, {
+      filePath: file,
+      threshold: 0
+    }, true);
+
+    await server.open();
+    port = server.http.address().port;
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await logger.disableReporter(SlowReporter.id);
+    await bfs.rimraf(prefix);
+  });
+
+  it('should log the body as it was when the request began', async () => {
+    const body = {
+      method: 'sendbatch',
+      params: [[['OPEN', 'first']]],
+      id: 1
+    };
+
+    await request(port, 'POST', '/', body);
+    await waitFor(() => readEntries().length === 1);
+
+    const [entry] = readEntries();
+    const reporter = logger.enabledReporters.get(SlowReporter.id);
+
+    assert.strictEqual(entry.reason, 'slow');
+    assert.deepStrictEqual(entry.request.body, body);
+    assert.deepStrictEqual(await reporter.getStats(), {
+      pending: 0,
+      captured: 1,
+      dropped: 0
+    });
+  });
+});